@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// alert-receiver.js - Print alert webhooks, for testing alert rules locally
+//
+// Usage: node scripts/alert-receiver.js [port]
+// Then run the benchmark with ALERT_WEBHOOK_URL=http://localhost:9099/
+//
+// Set FAIL=1 to answer every webhook with HTTP 500 and watch the benchmark
+// retry the notification on its next evaluation.
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || '9099', 10);
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    let payload = body;
+    try {
+      payload = JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+      // not JSON; print as received
+    }
+    console.log(`--- ${new Date().toISOString()} ${req.method} ${req.url}\n${payload}`);
+    res.writeHead(process.env.FAIL ? 500 : 200).end();
+  });
+}).listen(port, () => {
+  console.log(`Listening for alert webhooks on http://localhost:${port}/`);
+});
@@ -1,18 +1,29 @@
 #!/bin/bash
 # collect-metrics.sh - Collect and compare benchmark metrics from deployed apps
 #
-# Usage: ./scripts/collect-metrics.sh <vpc-app-url> <public-app-url>
+# Usage: ./scripts/collect-metrics.sh <vpc-app-url> <public-app-url> [target]
 # Example: ./scripts/collect-metrics.sh \
 #   https://benchmark-vpc-app-qljeu.ondigitalocean.app \
-#   https://benchmark-pub-app-vii26.ondigitalocean.app
+#   https://benchmark-pub-app-vii26.ondigitalocean.app \
+#   bouncer-pool
+#
+# [target] is the benchmark target name to compare (default: "default", the
+# target built from DATABASE_URL when BENCHMARK_TARGETS is not set).
+#
+# The VPC app must list the public app in COMPARE_PEERS, or set CONTROL_TOKEN
+# here to authorize the comparison.
+#
+# Set EXPORT_DIR to also save every stored measurement of the target from both
+# apps as CSV (vpc-<target>.csv, public-<target>.csv) for publishing.
 
 set -e
 
 VPC_URL=${1:-}
 PUBLIC_URL=${2:-}
+TARGET=${3:-default}
 
 if [ -z "$VPC_URL" ] || [ -z "$PUBLIC_URL" ]; then
-    echo "Usage: $0 <vpc-app-url> <public-app-url>"
+    echo "Usage: $0 <vpc-app-url> <public-app-url> [target]"
     echo ""
     echo "Example:"
     echo "  $0 https://benchmark-vpc-app.ondigitalocean.app https://benchmark-pub-app.ondigitalocean.app"
@@ -21,6 +32,7 @@ fi
 
 echo "=== VPC vs Public Database Benchmark Results ==="
 echo "Collected at: $(date)"
+echo "Target: $TARGET"
 echo ""
 
 # Function to extract metric
@@ -32,11 +44,11 @@ extract_metric() {
 
 # Collect VPC metrics
 echo "Fetching VPC app metrics..."
-VPC_METRICS=$(curl -s "$VPC_URL/metrics")
+VPC_METRICS=$(curl -s "$VPC_URL/metrics?target=$TARGET")
 
 # Collect Public metrics
 echo "Fetching Public app metrics..."
-PUBLIC_METRICS=$(curl -s "$PUBLIC_URL/metrics")
+PUBLIC_METRICS=$(curl -s "$PUBLIC_URL/metrics?target=$TARGET")
 
 echo ""
 echo "=== Configuration ==="
@@ -119,13 +131,29 @@ if [ "$VPC_TOTAL" != "N/A" ] && [ "$PUB_TOTAL" != "N/A" ]; then
 fi
 
 echo ""
-echo "=== Conclusion ==="
-if [ "$VPC_RT" != "N/A" ] && [ "$PUB_RT" != "N/A" ]; then
-    if (( $(echo "$VPC_RT < $PUB_RT" | bc -l) )); then
-        echo "VPC is faster by $(echo "scale=1; ($PUB_RT - $VPC_RT) / $PUB_RT * 100" | bc)% on average round-trip latency"
-    else
-        echo "Public is faster by $(echo "scale=1; ($VPC_RT - $PUB_RT) / $VPC_RT * 100" | bc)% on average round-trip latency"
-    fi
+echo "=== Statistical Comparison (A = VPC, B = Public) ==="
+echo ""
+# Medians with bootstrap CIs and a Mann-Whitney U test, computed by the VPC app
+# against the public app's history. Averages alone can't tell noise from a real
+# difference.
+AUTH=()
+if [ -n "$CONTROL_TOKEN" ]; then AUTH=(-H "Authorization: Bearer $CONTROL_TOKEN"); fi
+COMPARISON=$(curl -s "${AUTH[@]}" "$VPC_URL/compare?peer=$PUBLIC_URL&target=$TARGET")
+if echo "$COMPARISON" | jq -e '.metrics' > /dev/null 2>&1; then
+    printf "%-16s %-10s %-10s %-22s %-10s %s\n" "Metric" "VPC p50" "Pub p50" "Diff (95% CI)" "p-value" "Verdict"
+    printf "%-16s %-10s %-10s %-22s %-10s %s\n" "------" "-------" "-------" "-------------" "-------" "-------"
+    echo "$COMPARISON" | jq -r '.metrics | to_entries[] | select(.value.medianA != null) |
+        [.key, .value.medianA, .value.medianB,
+         "\(.value.medianDiff) [\(.value.medianDiffCi[0]), \(.value.medianDiffCi[1])]",
+         .value.pValue,
+         (.value.verdict | sub("^A "; "VPC ") | sub("^B "; "Public "))] | @tsv' |
+    while IFS=$'\t' read -r metric a b diff p verdict; do
+        printf "%-16s %-10s %-10s %-22s %-10s %s\n" "$metric" "$a" "$b" "$diff" "$p" "$verdict"
+    done
+    echo ""
+    echo "Negative differences mean VPC is faster; significant at p < $(echo "$COMPARISON" | jq -r '.alpha')."
+else
+    echo "Comparison unavailable: $(echo "$COMPARISON" | jq -r '.error // .' 2>/dev/null || echo "$COMPARISON")"
 fi
 
 echo ""
@@ -136,3 +164,11 @@ echo "$VPC_METRICS" | jq '.latency'
 echo ""
 echo "Public Metrics:"
 echo "$PUBLIC_METRICS" | jq '.latency'
+
+if [ -n "$EXPORT_DIR" ]; then
+    mkdir -p "$EXPORT_DIR"
+    curl -sf -o "$EXPORT_DIR/vpc-$TARGET.csv" "$VPC_URL/metrics/export.csv?target=$TARGET&segment=all"
+    curl -sf -o "$EXPORT_DIR/public-$TARGET.csv" "$PUBLIC_URL/metrics/export.csv?target=$TARGET&segment=all"
+    echo ""
+    echo "Raw measurements saved to $EXPORT_DIR/vpc-$TARGET.csv and $EXPORT_DIR/public-$TARGET.csv"
+fi
@@ -0,0 +1,172 @@
+// Per-interval aggregates
+//
+// Every stored measurement is also counted into streaming histograms (see
+// src/histogram.js) for its target, segment, experiment and minute, as it is
+// recorded. Stats for a window merge those minutes rather than rebuilding
+// histograms from every raw sample on each request.
+//
+// The raw results of a window are still loaded (for counts, reliability and
+// noise reasons), and decide which minutes can be used: a minute's aggregate
+// is merged only when it holds exactly as many measurements as the window
+// selected there. Otherwise (the partial minutes at the edges of since/until,
+// results the memory store has trimmed, results another app wrote to a shared
+// store, or minutes older than the retention) the raw results of that minute
+// are aggregated instead, so the figures are the same either way.
+
+const { createHistogramSet } = require('./histogram');
+const { PHASES } = require('./connection-phases');
+
+const INTERVAL_MS = 60 * 1000;
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // older minutes are dropped
+
+// Latency histograms kept per measurement: histogram name -> measurement field
+const LATENCY_FIELDS = [
+  ['connect', 'connectLatencyMs'],
+  ...PHASES.map(phase => [`phase:${phase}`, `${phase}LatencyMs`]),
+  ['poolAcquire', 'poolAcquireMs'],
+  ['ping', 'pingLatencyMs'],
+  ['longQuery', 'longQueryLatencyMs'],
+  ['avgRoundTrip', 'avgRoundTripMs'],
+  ['query', 'queryLatencyMs'],
+  ['total', 'totalLatencyMs'],
+  ['correctedTotal', 'correctedTotalLatencyMs'],
+  ['copyOut', 'copyOutLatencyMs'],
+  ['copyIn', 'copyInLatencyMs']
+];
+
+// COPY throughput histograms (see src/copy-throughput.js): histogram name -> measurement field
+const COPY_FIELDS = [
+  ['copy:out:mbPerSec', 'copyOutMBps'],
+  ['copy:out:rowsPerSec', 'copyOutRowsPerSec'],
+  ['copy:in:mbPerSec', 'copyInMBps'],
+  ['copy:in:rowsPerSec', 'copyInRowsPerSec']
+];
+
+// Client-side noise histograms (see src/noise.js): histogram name -> noise field
+const NOISE_FIELDS = [
+  ['eventLoopDelayMax', 'eventLoopDelayMaxMs'],
+  ['gcPause', 'gcPauseMs'],
+  ['cpuPercent', 'cpuPercent']
+];
+
+const timeOf = (result) => new Date(result.timestamp).getTime();
+const intervalStart = (time) => Math.floor(time / INTERVAL_MS) * INTERVAL_MS;
+const keyOf = (result, start) => [result.target, result.segment || '', result.experiment || '', start].join('\n');
+
+// Latency of successful measurements is kept apart for noisy and quiet ones,
+// so excludeNoisy can be chosen per request; schedule delay and noise are
+// recorded for all
+function createInterval(start) {
+  return {
+    start,
+    measurements: 0,
+    successful: 0,
+    noisy: 0,
+    quiet: 0, // successful and not noisy
+    histograms: createHistogramSet(),
+    quietLatency: createHistogramSet(),
+    noisyLatency: createHistogramSet()
+  };
+}
+
+function addResult(interval, r) {
+  interval.measurements++;
+  interval.histograms.record('scheduleDelay', r.scheduleDelayMs);
+  if (r.noise) {
+    for (const [name, field] of NOISE_FIELDS) interval.histograms.record(`noise:${name}`, r.noise[field]);
+  }
+  if (r.noisy) interval.noisy++;
+  if (!r.success) return;
+
+  interval.successful++;
+  if (!r.noisy) interval.quiet++;
+  const latency = r.noisy ? interval.noisyLatency : interval.quietLatency;
+  for (const [name, field] of [...LATENCY_FIELDS, ...COPY_FIELDS]) {
+    latency.record(name, r[field]);
+  }
+  // Per-step latency (average per iteration) for whichever workload steps were recorded
+  for (const [name, step] of Object.entries(r.steps || {})) {
+    latency.record(`step:${name}`, step.avgMs);
+  }
+}
+
+function mergeInterval(bucket, interval, excludeNoisy) {
+  bucket.measurements += interval.measurements;
+  bucket.successful += interval.successful;
+  bucket.noisy += interval.noisy;
+  bucket.inLatency += excludeNoisy ? interval.quiet : interval.successful;
+  bucket.histograms.merge(interval.histograms).merge(interval.quietLatency);
+  if (!excludeNoisy) bucket.histograms.merge(interval.noisyLatency);
+}
+
+function createAggregates({ retentionMs = RETENTION_MS } = {}) {
+  // key (target, segment, experiment, minute) -> interval, roughly oldest first
+  const intervals = new Map();
+
+  const prune = (now) => {
+    for (const [key, interval] of intervals) {
+      if (interval.start >= now - retentionMs) break;
+      intervals.delete(key);
+    }
+  };
+
+  return {
+    retentionMs,
+
+    // Count a stored result in
+    add(result) {
+      const now = Date.now();
+      const time = timeOf(result);
+      if (Number.isNaN(time) || time < now - retentionMs) return;
+      const start = intervalStart(time);
+      const key = keyOf(result, start);
+      let interval = intervals.get(key);
+      if (!interval) {
+        interval = createInterval(start);
+        intervals.set(key, interval);
+        prune(now);
+      }
+      addResult(interval, result);
+    },
+
+    // Aggregate a window's results into one bucket per bucketMs interval, or a
+    // single bucket when bucketMs is null: { start, measurements, successful,
+    // noisy, inLatency, histograms }, oldest first. Buckets that aren't whole
+    // minutes are built from the raw results.
+    aggregate(results, { bucketMs = null, excludeNoisy = false } = {}) {
+      const groupMs = bucketMs && bucketMs % INTERVAL_MS !== 0 ? bucketMs : INTERVAL_MS;
+      const groups = new Map();
+      for (const r of results) {
+        const start = Math.floor(timeOf(r) / groupMs) * groupMs;
+        const key = keyOf(r, start);
+        let group = groups.get(key);
+        if (!group) {
+          group = { key, start, results: [] };
+          groups.set(key, group);
+        }
+        group.results.push(r);
+      }
+
+      const buckets = new Map();
+      for (const group of groups.values()) {
+        const bucketStart = bucketMs ? Math.floor(group.start / bucketMs) * bucketMs : 0;
+        let bucket = buckets.get(bucketStart);
+        if (!bucket) {
+          bucket = { start: bucketStart, measurements: 0, successful: 0, noisy: 0, inLatency: 0, histograms: createHistogramSet() };
+          buckets.set(bucketStart, bucket);
+        }
+        let interval = groupMs === INTERVAL_MS ? intervals.get(group.key) : null;
+        if (!interval || interval.measurements !== group.results.length) {
+          interval = createInterval(group.start);
+          for (const r of group.results) addResult(interval, r);
+        }
+        mergeInterval(bucket, interval, excludeNoisy);
+      }
+      return [...buckets.values()].sort((a, b) => a.start - b.start);
+    },
+
+    size: () => intervals.size
+  };
+}
+
+module.exports = { INTERVAL_MS, LATENCY_FIELDS, COPY_FIELDS, NOISE_FIELDS, createAggregates };
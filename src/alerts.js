@@ -0,0 +1,242 @@
+// Threshold alerting on the benchmark statistics
+//
+// Rules are loaded from ALERT_RULES_FILE (JSON or YAML: an array, or
+// { rules: [...] }) or inline from ALERT_RULES (JSON). Each rule compares one
+// figure of the /metrics statistics over a trailing window with a threshold:
+//
+//   { name: 'ping p95', metric: 'latency.ping.p95', op: '>', threshold: 5, window: '15m' }
+//   { name: 'failures', metric: 'failureRate', op: '>', threshold: 1, window: '15m' }
+//   { name: 'availability', metric: 'reliability.availability', op: '<', threshold: 99.9, window: '1h' }
+//
+// metric is a dotted path into the statistics of one target (units as shown
+// there: ms, or percent for rates). A rule applies to every target unless it
+// names `targets`, and needs `minMeasurements` (default 1) in the window to
+// be evaluated at all.
+//
+// Each rule and target pair is either ok or firing. Only a change of state is
+// sent: one "firing" notification when the condition starts to hold and one
+// "resolved" when it stops. A notification that could not be delivered is
+// retried on the next evaluation. A resolution is only sent for a firing that
+// was delivered: when the condition stops holding before its firing got
+// through, the pair returns to ok without a word.
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { parseDuration } = require('./time-window');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+const FORMATS = ['json', 'slack'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_NOTIFICATIONS = 100; // recent notifications kept for /alerts
+
+function normalizeRule(raw, index, source, targetNames) {
+  const name = raw.name || `rule-${index + 1}`;
+  if (typeof raw.metric !== 'string' || !/^\w+(\.\w+)*$/.test(raw.metric)) {
+    throw new Error(`${source}: rule "${name}" needs a "metric" path like latency.ping.p95`);
+  }
+  if (!OPERATORS[raw.op]) {
+    throw new Error(`${source}: rule "${name}" has invalid op "${raw.op}" (expected one of ${Object.keys(OPERATORS).join(', ')})`);
+  }
+  const threshold = Number(raw.threshold);
+  if (raw.threshold === undefined || Number.isNaN(threshold)) {
+    throw new Error(`${source}: rule "${name}" needs a numeric "threshold"`);
+  }
+  const targets = raw.targets ? [].concat(raw.targets) : targetNames;
+  for (const target of targets) {
+    if (!targetNames.includes(target)) {
+      throw new Error(`${source}: rule "${name}" names unknown target "${target}"`);
+    }
+  }
+
+  return {
+    name,
+    metric: raw.metric,
+    op: raw.op,
+    threshold,
+    window: String(raw.window || '15m'),
+    windowMs: parseDuration(raw.window || '15m', `window of rule "${name}"`),
+    targets,
+    minMeasurements: parseInt(raw.minMeasurements || 1, 10)
+  };
+}
+
+function loadAlertRules({ env = process.env, targets = [] } = {}) {
+  let raw = [];
+  let source = 'ALERT_RULES';
+  if (env.ALERT_RULES_FILE) {
+    source = env.ALERT_RULES_FILE;
+    const contents = fs.readFileSync(env.ALERT_RULES_FILE, 'utf8');
+    raw = /\.ya?ml$/i.test(env.ALERT_RULES_FILE) ? yaml.load(contents) : JSON.parse(contents);
+  } else if (env.ALERT_RULES) {
+    try {
+      raw = JSON.parse(env.ALERT_RULES);
+    } catch (error) {
+      throw new Error(`ALERT_RULES is not valid JSON: ${error.message}`);
+    }
+  }
+  raw = Array.isArray(raw) ? raw : (raw && raw.rules);
+  if (!Array.isArray(raw)) {
+    throw new Error(`${source}: expected an array of rules or { "rules": [...] }`);
+  }
+
+  const targetNames = targets.map(t => t.name);
+  const rules = raw.map((r, index) => normalizeRule(r, index, source, targetNames));
+  const names = new Set();
+  for (const rule of rules) {
+    if (names.has(rule.name)) throw new Error(`Duplicate alert rule name "${rule.name}"`);
+    names.add(rule.name);
+  }
+  return rules;
+}
+
+// Read a dotted path out of the stats; formatted figures ("1.25", "0.50%")
+// are turned back into numbers
+function metricValue(stats, metric) {
+  let value = stats;
+  for (const key of metric.split('.')) {
+    if (value === null || typeof value !== 'object') return null;
+    value = value[key];
+  }
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+const describeCondition = (rule) => `${rule.metric} ${rule.op} ${rule.threshold} over ${rule.window}`;
+
+function slackPayload(notification) {
+  const { status, appType, target, rule, value } = notification;
+  const firing = status === 'firing';
+  return {
+    text: `${firing ? ':rotating_light: FIRING' : ':white_check_mark: RESOLVED'}: ${rule.name} on ${appType}/${target}`,
+    attachments: [{
+      color: firing ? 'danger' : 'good',
+      fields: [
+        { title: 'Condition', value: describeCondition(rule), short: false },
+        { title: 'Value', value: value === null ? 'n/a' : String(value), short: true },
+        { title: firing ? 'Since' : 'Fired at', value: notification.startsAt, short: true }
+      ]
+    }]
+  };
+}
+
+// statsFor(target, windowMs) resolves to the /metrics statistics of a target
+// over the trailing window
+function createAlerter({ appType, rules, statsFor, webhookUrl = null, format = 'json' }) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown alert webhook format "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+
+  // `${rule}/${target}` -> { status, notified, value, measurements, startsAt, evaluatedAt, error }
+  const states = new Map();
+  const notifications = [];
+  let lastCheck = null;
+
+  async function deliver(notification) {
+    if (!webhookUrl) return;
+    const body = format === 'slack' ? slackPayload(notification) : notification;
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  }
+
+  // Send the state if it differs from the last one delivered
+  async function notify(rule, target, state) {
+    if (state.status === state.notified) return;
+    const notification = {
+      status: state.status,
+      appType,
+      target,
+      rule: { name: rule.name, metric: rule.metric, op: rule.op, threshold: rule.threshold, window: rule.window },
+      value: state.value,
+      measurements: state.measurements,
+      startsAt: state.startsAt,
+      endsAt: state.status === 'resolved' ? state.evaluatedAt : null,
+      timestamp: new Date().toISOString()
+    };
+    const record = { ...notification, delivered: false, error: null };
+    try {
+      await deliver(notification);
+      record.delivered = Boolean(webhookUrl);
+      state.notified = state.status;
+      state.error = null;
+    } catch (error) {
+      record.error = error.message;
+      state.error = error.message;
+    }
+    notifications.push(record);
+    if (notifications.length > MAX_NOTIFICATIONS) notifications.shift();
+
+    const outcome = record.error ? `, delivery failed: ${record.error}` : (webhookUrl ? '' : ' (no ALERT_WEBHOOK_URL)');
+    console.log(`[${appType}/${target}] Alert ${state.status.toUpperCase()}: ${rule.name} (${describeCondition(rule)}, value ${state.value === null ? 'n/a' : state.value})${outcome}`);
+  }
+
+  async function evaluate(rule, target) {
+    const key = `${rule.name}/${target.name}`;
+    if (!states.has(key)) {
+      states.set(key, { rule: rule.name, target: target.name, status: 'ok', notified: 'ok', value: null, measurements: 0, startsAt: null, evaluatedAt: null, error: null });
+    }
+    const state = states.get(key);
+    const stats = await statsFor(target, rule.windowMs);
+    state.evaluatedAt = new Date().toISOString();
+    state.measurements = stats.totalMeasurements;
+    state.value = metricValue(stats, rule.metric);
+
+    // Too little data leaves the state as it was
+    if (stats.totalMeasurements >= rule.minMeasurements && state.value !== null) {
+      const holds = OPERATORS[rule.op](state.value, rule.threshold);
+      if (holds && state.status !== 'firing') {
+        // Firing again before the resolution got through continues the alert
+        // the receiver already has
+        if (state.notified !== 'firing') state.startsAt = state.evaluatedAt;
+        state.status = 'firing';
+      } else if (!holds && state.status === 'firing') {
+        state.status = state.notified === 'firing' ? 'resolved' : 'ok';
+      }
+    }
+
+    await notify(rule, target.name, state);
+    // A delivered resolution returns the pair to ok without another notification
+    if (state.status === 'resolved' && state.notified === 'resolved') {
+      state.status = 'ok';
+      state.notified = 'ok';
+    }
+  }
+
+  return {
+    rules,
+
+    // Evaluate every rule against its targets
+    async check(targets) {
+      for (const rule of rules) {
+        for (const target of targets.filter(t => rule.targets.includes(t.name))) {
+          try {
+            await evaluate(rule, target);
+          } catch (error) {
+            console.error(`[${appType}/${target.name}] Alert rule "${rule.name}" failed: ${error.message}`);
+          }
+        }
+      }
+      lastCheck = new Date().toISOString();
+    },
+
+    status: () => ({
+      webhook: webhookUrl ? { url: new URL(webhookUrl).origin, format } : null,
+      lastCheck,
+      rules: rules.map(rule => ({ ...rule, condition: describeCondition(rule), windowMs: undefined })),
+      states: [...states.values()],
+      firing: [...states.values()].filter(s => s.status !== 'ok').length,
+      notifications
+    })
+  };
+}
+
+module.exports = { loadAlertRules, createAlerter, metricValue };
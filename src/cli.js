@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+// Headless benchmark run
+//
+// Measures one or more databases for a number of iterations or a duration,
+// writes a JSON and a Markdown report and exits, so a quick comparison can run
+// from a droplet or a CI job without deploying the server:
+//
+//   node src/cli.js -n 50 vpc=postgresql://...private-host:25061/pool public=postgresql://...host:25061/pool
+//   node src/cli.js --duration 10m --interval 5s --mode pool --out reports/pgbouncer
+//
+// Each positional argument is a connection string (postgresql://, mysql://,
+// redis:// or rediss://), optionally prefixed with a name (name=postgresql://...).
+// Without any, the targets come from BENCHMARK_TARGETS or DATABASE_URL, as for
+// the server. Measurements are the same as the server's (see src/measure.js);
+// targets are measured one after another in every cycle.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadTargets } = require('./targets');
+const { createTlsConfig } = require('./tls');
+const { createMeasurer } = require('./measure');
+const { driverFor } = require('./drivers');
+const { parseDuration } = require('./time-window');
+const { summarize } = require('./stats');
+const { describeCopy } = require('./copy-throughput');
+const { loadExperiment, experimentFields } = require('./experiments');
+
+const USAGE = `Usage: node src/cli.js [options] [[name=]postgresql://... ...]
+
+Options:
+  -n, --iterations <n>   measurements per target (default 10)
+  -d, --duration <dur>   run for this long instead, e.g. 90s, 10m, 1h
+  -i, --interval <dur>   time between the starts of two cycles (default 1s; 0 = back to back)
+      --mode <mode>      client or pool, for targets given as arguments (default client)
+      --pool-size <n>    pool size in pool mode (default 10)
+      --exclude-noisy    leave measurements flagged noisy out of the latency figures
+  -o, --out <prefix>     report files <prefix>.json and <prefix>.md (default benchmark-report)
+      --title <text>     report title
+  -h, --help             show this help
+
+Connection strings may also be mysql://, redis:// or rediss:// URLs.
+Without connection strings, the targets come from BENCHMARK_TARGETS or DATABASE_URL.`;
+
+// Rows of the Markdown results table: label and measurement field
+const METRICS = [
+  ['Connect', 'connectLatencyMs'],
+  ['Pool Acquire', 'poolAcquireMs'],
+  ['Ping (SELECT 1 or PING)', 'pingLatencyMs'],
+  ['Avg Round Trip (10x queries)', 'avgRoundTripMs'],
+  ['Long Query (1000 rows)', 'longQueryLatencyMs'],
+  ['Total', 'totalLatencyMs'],
+  ['COPY TO STDOUT', 'copyOutLatencyMs'],
+  ['COPY FROM STDIN', 'copyInLatencyMs']
+];
+
+// COPY throughput (see src/copy-throughput.js): label, direction and field prefix
+const COPY_DIRECTIONS = [
+  ['COPY TO STDOUT', 'out', 'copyOut'],
+  ['COPY FROM STDIN', 'in', 'copyIn']
+];
+
+// Key of a measurement field in the report's latency object (pingLatencyMs -> ping)
+const metricKey = (field) => field.replace(/LatencyMs$|Ms$/, '');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      iterations: { type: 'string', short: 'n' },
+      duration: { type: 'string', short: 'd' },
+      interval: { type: 'string', short: 'i', default: '1s' },
+      mode: { type: 'string', default: 'client' },
+      'pool-size': { type: 'string', default: '10' },
+      'exclude-noisy': { type: 'boolean', default: false },
+      out: { type: 'string', short: 'o', default: 'benchmark-report' },
+      title: { type: 'string', default: 'Benchmark Report' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.iterations !== undefined && values.duration !== undefined) {
+    throw new Error('Give either --iterations or --duration, not both');
+  }
+  const iterations = values.duration === undefined ? parseInt(values.iterations || '10', 10) : null;
+  if (iterations !== null && !(iterations > 0)) {
+    throw new Error(`Invalid --iterations "${values.iterations}"`);
+  }
+
+  return {
+    help: values.help,
+    iterations,
+    durationMs: values.duration !== undefined ? parseDuration(values.duration, '--duration') : null,
+    intervalMs: values.interval === '0' ? 0 : parseDuration(values.interval, '--interval'),
+    mode: values.mode,
+    poolSize: values['pool-size'],
+    excludeNoisy: values['exclude-noisy'],
+    out: values.out,
+    title: values.title,
+    urls: positionals
+  };
+}
+
+// Targets from the command line go through the same validation as BENCHMARK_TARGETS
+function resolveTargets(options, env = process.env) {
+  if (options.urls.length === 0) return loadTargets(env);
+  const raw = options.urls.map((arg, index) => {
+    const named = /^([\w.-]+)=((?:postgres(?:ql)?|mysql|rediss?):\/\/.*)$/.exec(arg);
+    return {
+      name: named ? named[1] : `target-${index + 1}`,
+      url: named ? named[2] : arg,
+      mode: options.mode,
+      poolSize: options.poolSize
+    };
+  });
+  return loadTargets({ ...env, BENCHMARK_TARGETS: JSON.stringify(raw) });
+}
+
+// Numeric report for one target
+function targetReport(target, results, excludeNoisy) {
+  const successful = results.filter(r => r.success);
+  const measured = excludeNoisy ? successful.filter(r => !r.noisy) : successful;
+  const values = (field) => measured.map(r => r[field]).filter(v => typeof v === 'number');
+
+  const failuresByCategory = {};
+  for (const r of results) {
+    if (!r.success) failuresByCategory[r.errorCategory] = (failuresByCategory[r.errorCategory] || 0) + 1;
+  }
+
+  const steps = {};
+  for (const r of measured) {
+    for (const [name, step] of Object.entries(r.steps || {})) {
+      (steps[name] = steps[name] || []).push(step.avgMs);
+    }
+  }
+
+  return {
+    name: target.name,
+    driver: target.driver,
+    mode: target.mode,
+    poolSize: target.mode === 'pool' ? target.poolSize : null,
+    workload: target.workload.name,
+    host: new URL(target.url).host,
+    sslMode: successful.length > 0 ? successful[0].sslMode : null,
+    measurements: results.length,
+    successful: successful.length,
+    failed: results.length - successful.length,
+    failureRate: results.length > 0 ? Math.round((results.length - successful.length) / results.length * 10000) / 100 : 0,
+    failuresByCategory,
+    noisy: results.filter(r => r.noisy).length,
+    latency: {
+      ...Object.fromEntries(METRICS.map(([, field]) => [metricKey(field), summarize(values(field))])),
+      query: summarize(values('queryLatencyMs')),
+      steps: Object.fromEntries(Object.entries(steps).map(([name, arr]) => [name, summarize(arr)]))
+    },
+    copy: target.copy
+      ? {
+          settings: target.copy,
+          ...Object.fromEntries(COPY_DIRECTIONS.map(([, direction, prefix]) => [direction, {
+            mbPerSec: summarize(values(`${prefix}MBps`)),
+            rowsPerSec: summarize(values(`${prefix}RowsPerSec`))
+          }]))
+        }
+      : null
+  };
+}
+
+const ms = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(2)}ms`);
+
+// "33% faster" / "12% slower" for the first target against the second
+function difference(a, b) {
+  if (!a || !b || b.avg === 0) return '-';
+  const change = Math.round((b.avg - a.avg) / b.avg * 100);
+  if (change === 0) return 'Same';
+  return change > 0 ? `**${change}% faster**` : `${-change}% slower`;
+}
+
+function markdownReport(report) {
+  const { targets } = report;
+  const lines = [`# ${report.title}`, ''];
+  const length = report.options.durationMs !== null
+    ? `${report.options.durationMs / 1000}s`
+    : `${report.options.iterations} iterations`;
+  lines.push(`Generated ${report.generatedAt} on \`${report.host}\`: ${length}, one cycle every ${report.options.intervalMs / 1000}s. ` +
+    `Latencies are averages over successful measurements${report.options.excludeNoisy ? ', leaving out noisy ones' : ''}. ` +
+    `Experiment \`${report.experiment.id}\`.`, '');
+
+  // Same layout as the README's result tables
+  const rows = METRICS.filter(([, field]) => targets.some(t => t.latency[metricKey(field)]));
+  const stepNames = [...new Set(targets.flatMap(t => Object.keys(t.latency.steps)))];
+  const customSteps = targets.some(t => t.workload !== 'default');
+  const compare = targets.length === 2;
+
+  lines.push('## Results', '');
+  lines.push(`| Metric | ${targets.map(t => t.name).join(' | ')} |${compare ? ` ${targets[0].name} vs ${targets[1].name} |` : ''}`);
+  lines.push(`|--------|${targets.map(() => '-----').join('|')}|${compare ? '---------------|' : ''}`);
+  const row = (label, pick) => {
+    const cells = targets.map(t => ms(pick(t) && pick(t).avg));
+    lines.push(`| ${label} | ${cells.join(' | ')} |${compare ? ` ${difference(pick(targets[0]), pick(targets[1]))} |` : ''}`);
+  };
+  for (const [label, field] of rows) {
+    if (field === 'totalLatencyMs' && customSteps) {
+      for (const name of stepNames) row(`Step: ${name} (avg per iteration)`, t => t.latency.steps[name]);
+    }
+    row(label, t => t.latency[metricKey(field)]);
+  }
+  lines.push('');
+
+  // Higher is better here, so no faster/slower column
+  const copyTargets = targets.filter(t => t.copy);
+  if (copyTargets.length > 0) {
+    lines.push('## COPY Throughput', '');
+    lines.push(`| Direction | ${copyTargets.map(t => t.name).join(' | ')} |`);
+    lines.push(`|-----------|${copyTargets.map(() => '-----').join('|')}|`);
+    for (const [label, direction] of COPY_DIRECTIONS) {
+      const cells = copyTargets.map(t => {
+        const { mbPerSec, rowsPerSec } = t.copy[direction];
+        return mbPerSec ? `${mbPerSec.avg.toFixed(2)} MB/s (${Math.round(rowsPerSec.avg)} rows/s)` : '-';
+      });
+      if (cells.some(cell => cell !== '-')) lines.push(`| ${label} | ${cells.join(' | ')} |`);
+    }
+    lines.push('', `Averages over successful measurements; ${copyTargets.map(t => `${t.name}: ${describeCopy(t.copy.settings)}`).join(', ')}.`, '');
+  }
+
+  lines.push('## Summary Comparison', '');
+  lines.push('| Target | Driver | Mode | Host | Measurements | Failures | Noisy | Total P50 | Total P95 | Total P99 |');
+  lines.push('|--------|--------|------|------|--------------|----------|-------|-----------|-----------|-----------|');
+  for (const t of targets) {
+    const total = t.latency.total || {};
+    const mode = t.mode === 'pool' ? `pool (${t.poolSize})` : 'client';
+    lines.push(`| ${t.name} | ${t.driver} | ${mode} | ${t.host} | ${t.measurements} | ${t.failed} (${t.failureRate}%) | ${t.noisy} | ${ms(total.p50)} | ${ms(total.p95)} | ${ms(total.p99)} |`);
+  }
+  lines.push('');
+
+  for (const t of targets) {
+    lines.push(`### ${t.name}`, '');
+    lines.push('| Metric | Min | Avg | P50 | P95 | P99 | Max |');
+    lines.push('|--------|-----|-----|-----|-----|-----|-----|');
+    for (const [label, field] of [...rows, ['Query Time', 'queryLatencyMs']]) {
+      const s = t.latency[metricKey(field)];
+      if (s) lines.push(`| ${label} | ${ms(s.min)} | ${ms(s.avg)} | ${ms(s.p50)} | ${ms(s.p95)} | ${ms(s.p99)} | ${ms(s.max)} |`);
+    }
+    const categories = Object.entries(t.failuresByCategory);
+    if (categories.length > 0) {
+      lines.push('', `Failures: ${categories.map(([category, count]) => `${category} ${count}`).join(', ')}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const appType = process.env.APP_TYPE || 'CLI';
+  let targets;
+  try {
+    targets = resolveTargets(options);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  let experiment;
+  try {
+    experiment = loadExperiment({ appType });
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const tlsConfig = createTlsConfig();
+  const measurer = createMeasurer({ appType, tlsConfig });
+  for (const target of targets) driverFor(target.url).tls(tlsConfig, target.url);
+
+  for (const target of targets) {
+    if (target.impairment) {
+      measurer.attachProxy(target);
+      await measurer.startProxy(target);
+    }
+    await measurer.initializePool(target);
+  }
+
+  // Ctrl-C finishes the current cycle and still writes the report
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log(`[${appType}] Stopping after this cycle (Ctrl-C again to abort)`);
+  });
+
+  const startedAt = Date.now();
+  const results = [];
+  for (let cycle = 0; !stopping; cycle++) {
+    if (options.iterations !== null ? cycle >= options.iterations : Date.now() - startedAt >= options.durationMs) break;
+    const cycleStart = Date.now();
+    for (const target of targets) {
+      results.push({ ...await measurer.measureLatency(target), cycle, ...experimentFields(experiment, target) });
+    }
+    const wait = cycleStart + options.intervalMs - Date.now();
+    if (wait > 0 && !stopping) await sleep(wait);
+  }
+
+  for (const target of targets) {
+    if (target.pool) await target.pool.end();
+    if (target.proxy) await target.proxy.stop();
+  }
+
+  const report = {
+    title: options.title,
+    generatedAt: new Date().toISOString(),
+    host: os.hostname(),
+    appType,
+    experiment,
+    options: { iterations: options.iterations, durationMs: options.durationMs, intervalMs: options.intervalMs, excludeNoisy: options.excludeNoisy },
+    elapsedMs: Date.now() - startedAt,
+    targets: targets.map(target => targetReport(target, results.filter(r => r.target === target.name), options.excludeNoisy)),
+    results
+  };
+
+  const out = path.resolve(options.out);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2));
+  const markdown = markdownReport(report);
+  fs.writeFileSync(`${out}.md`, markdown);
+
+  console.log(`\n${markdown}`);
+  console.log(`[${appType}] Wrote ${out}.json and ${out}.md`);
+
+  // Non-zero when a target never succeeded, so a CI job fails visibly
+  return report.targets.some(t => t.successful === 0) ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
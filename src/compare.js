@@ -0,0 +1,191 @@
+// Statistical comparison of two benchmark histories
+//
+// Subtracting two averages says nothing about whether a difference is real:
+// latency distributions are skewed and noisy. For each metric this compares
+// the successful samples of side A and side B with
+//
+//   - the difference in medians and in p95 (A - B, negative = A is faster),
+//     each with a percentile bootstrap confidence interval
+//   - a two-sided Mann-Whitney U test (normal approximation with tie and
+//     continuity correction), which makes no assumption about the shape of
+//     either distribution
+//   - the probability of superiority P(A < B), i.e. how often a random A
+//     sample beats a random B sample
+//
+// A difference is reported as significant when p < alpha. The bootstrap uses a
+// fixed seed so the same inputs always produce the same intervals. With
+// excludeNoisy, samples flagged noisy on either side (see src/noise.js) are
+// left out, so a busy client doesn't decide the comparison.
+
+const { percentile, round2 } = require('./stats');
+
+// Measurement fields compared, in report order
+const METRICS = [
+  { key: 'connect', field: 'connectLatencyMs' },
+  { key: 'dns', field: 'dnsLatencyMs' },
+  { key: 'tcpConnect', field: 'tcpConnectLatencyMs' },
+  { key: 'sslRequest', field: 'sslRequestLatencyMs' },
+  { key: 'tlsHandshake', field: 'tlsHandshakeLatencyMs' },
+  { key: 'auth', field: 'authLatencyMs' },
+  { key: 'poolAcquire', field: 'poolAcquireMs' },
+  { key: 'ping', field: 'pingLatencyMs' },
+  { key: 'longQuery', field: 'longQueryLatencyMs' },
+  { key: 'avgRoundTrip', field: 'avgRoundTripMs' },
+  { key: 'query', field: 'queryLatencyMs' },
+  { key: 'total', field: 'totalLatencyMs' },
+  { key: 'correctedTotal', field: 'correctedTotalLatencyMs' },
+  { key: 'copyOut', field: 'copyOutLatencyMs' },
+  { key: 'copyIn', field: 'copyInLatencyMs' }
+];
+
+const MIN_SAMPLES = 5;
+
+// mulberry32: small, fast, seedable PRNG
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const sortedPercentile = (sorted, p) =>
+  sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided Mann-Whitney U test
+function mannWhitney(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const all = a.map(v => [v, 0]).concat(b.map(v => [v, 1])).sort((x, y) => x[0] - y[0]);
+
+  // Average ranks over ties
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j + 2) / 2;
+    const ties = j - i + 1;
+    for (let k = i; k <= j; k++) {
+      if (all[k][1] === 0) rankSumA += rank;
+    }
+    tieTerm += ties * ties * ties - ties;
+    i = j + 1;
+  }
+
+  const u = rankSumA - n1 * (n1 + 1) / 2;
+  const mean = n1 * n2 / 2;
+  const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+  if (sigma === 0) return { u, z: 0, p: 1 };
+
+  const z = (u - mean - Math.sign(u - mean) * 0.5) / sigma;
+  return { u, z, p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+}
+
+// Percentile bootstrap CI for stat(A) - stat(B), for several percentiles at once
+function bootstrapDifferences(a, b, percentiles, { iterations, confidence, random }) {
+  const diffs = percentiles.map(() => new Array(iterations));
+  const sampleA = new Array(a.length);
+  const sampleB = new Array(b.length);
+
+  for (let i = 0; i < iterations; i++) {
+    for (let k = 0; k < a.length; k++) sampleA[k] = a[Math.floor(random() * a.length)];
+    for (let k = 0; k < b.length; k++) sampleB[k] = b[Math.floor(random() * b.length)];
+    sampleA.sort((x, y) => x - y);
+    sampleB.sort((x, y) => x - y);
+    percentiles.forEach((p, index) => {
+      diffs[index][i] = sortedPercentile(sampleA, p) - sortedPercentile(sampleB, p);
+    });
+  }
+
+  const tail = (1 - confidence) / 2 * 100;
+  return diffs.map(d => [percentile(d, tail), percentile(d, 100 - tail)]);
+}
+
+function compareSamples(a, b, { alpha, iterations, seed }) {
+  if (a.length < MIN_SAMPLES || b.length < MIN_SAMPLES) {
+    return { samplesA: a.length, samplesB: b.length, significant: null, verdict: `insufficient data (need ${MIN_SAMPLES} samples per side)` };
+  }
+
+  const sortedA = [...a].sort((x, y) => x - y);
+  const sortedB = [...b].sort((x, y) => x - y);
+  const medianA = sortedPercentile(sortedA, 50);
+  const medianB = sortedPercentile(sortedB, 50);
+  const p95A = sortedPercentile(sortedA, 95);
+  const p95B = sortedPercentile(sortedB, 95);
+
+  const [medianCi, p95Ci] = bootstrapDifferences(a, b, [50, 95], {
+    iterations,
+    confidence: 1 - alpha,
+    random: createRandom(seed)
+  });
+  const test = mannWhitney(a, b);
+  const significant = test.p < alpha;
+  const faster = medianA < medianB ? 'A' : 'B';
+  const relative = Math.abs(medianA - medianB) / Math.max(medianA, medianB) * 100;
+
+  return {
+    samplesA: a.length,
+    samplesB: b.length,
+    medianA: round2(medianA),
+    medianB: round2(medianB),
+    medianDiff: round2(medianA - medianB),
+    medianDiffCi: medianCi.map(round2),
+    p95A: round2(p95A),
+    p95B: round2(p95B),
+    p95Diff: round2(p95A - p95B),
+    p95DiffCi: p95Ci.map(round2),
+    mannWhitneyU: test.u,
+    z: Math.round(test.z * 1000) / 1000,
+    pValue: Number(test.p.toPrecision(3)),
+    // P(random A sample < random B sample), counting ties as half
+    probabilityAFaster: round2(1 - test.u / (a.length * b.length)),
+    significant,
+    verdict: significant
+      ? `${faster} faster by ${round2(Math.abs(medianA - medianB))}ms median (${round2(relative)}%)`
+      : 'no significant difference'
+  };
+}
+
+// Compare two lists of measurements metric by metric
+function compareResults(resultsA, resultsB, options = {}) {
+  const opts = {
+    alpha: options.alpha || 0.05,
+    iterations: options.iterations || 1000,
+    seed: options.seed || 42,
+    excludeNoisy: Boolean(options.excludeNoisy)
+  };
+  const okA = resultsA.filter(r => r.success && !(opts.excludeNoisy && r.noisy));
+  const okB = resultsB.filter(r => r.success && !(opts.excludeNoisy && r.noisy));
+
+  const metrics = {};
+  for (const { key, field } of METRICS) {
+    const a = okA.map(r => r[field]).filter(v => typeof v === 'number');
+    const b = okB.map(r => r[field]).filter(v => typeof v === 'number');
+    if (a.length === 0 && b.length === 0) continue;
+    metrics[key] = compareSamples(a, b, opts);
+  }
+
+  return {
+    alpha: opts.alpha,
+    bootstrapIterations: opts.iterations,
+    excludedNoisy: opts.excludeNoisy
+      ? { a: resultsA.filter(r => r.success && r.noisy).length, b: resultsB.filter(r => r.success && r.noisy).length }
+      : null,
+    metrics
+  };
+}
+
+module.exports = { METRICS, compareResults, mannWhitney };
@@ -0,0 +1,77 @@
+// Connection phase timing for client mode
+//
+// A new pg connection goes through several network round trips, and VPC and
+// public paths can differ in any of them. The timer hands pg its own socket
+// (through the `stream` client option) and marks each lifecycle event:
+//
+//   dns           start -> socket 'lookup'          (skipped for IP addresses)
+//   tcpConnect    lookup -> socket 'connect'        (TCP handshake)
+//   sslRequest    connect -> pg 'sslconnect'        (SSLRequest and the server's 'S')
+//   tlsHandshake  sslconnect -> TLS 'secureConnect' (TLS negotiation)
+//   auth          TLS ready -> client.connect()     (startup, authentication,
+//                                                    ReadyForQuery)
+//
+// Without SSL the sslRequest and tlsHandshake phases are absent and auth starts
+// at 'connect'.
+
+const net = require('net');
+
+const PHASES = ['dns', 'tcpConnect', 'sslRequest', 'tlsHandshake', 'auth'];
+
+const now = () => process.hrtime.bigint();
+const ms = (from, to) => Number(to - from) / 1e6;
+
+// host and ssl describe the connection about to be made; they decide which
+// phases to expect when reporting where a failed attempt stopped
+function createPhaseTimer({ host, ssl }) {
+  const socket = new net.Socket();
+  const marks = {};
+
+  // 'lookup' also fires when resolution fails; only a successful one ends the dns phase
+  socket.once('lookup', (err) => { if (!err) marks.lookup = now(); });
+  socket.once('connect', () => { marks.connect = now(); });
+
+  return {
+    // Pass as the `stream` option of a new pg.Client
+    socket,
+
+    // Hook the TLS upgrade; call after `new Client(...)` and before connect()
+    attach(client) {
+      client.connection.once('sslconnect', () => {
+        marks.sslRequest = now();
+        client.connection.stream.once('secureConnect', () => { marks.tlsHandshake = now(); });
+      });
+    },
+
+    start() { marks.start = now(); },
+
+    ready() { marks.ready = now(); },
+
+    // Phase durations in ms as measurement fields, e.g. { dnsLatencyMs, tcpConnectLatencyMs, ... }.
+    // Phases that were never reached are left out.
+    fields() {
+      const fields = {};
+      const afterLookup = marks.lookup || marks.start;
+      const tlsDone = marks.tlsHandshake || (marks.sslRequest ? null : marks.connect);
+
+      if (marks.lookup) fields.dnsLatencyMs = ms(marks.start, marks.lookup);
+      if (marks.connect) fields.tcpConnectLatencyMs = ms(afterLookup, marks.connect);
+      if (marks.sslRequest) fields.sslRequestLatencyMs = ms(marks.connect, marks.sslRequest);
+      if (marks.tlsHandshake) fields.tlsHandshakeLatencyMs = ms(marks.sslRequest, marks.tlsHandshake);
+      if (marks.ready && tlsDone) fields.authLatencyMs = ms(tlsDone, marks.ready);
+      return fields;
+    },
+
+    // The phase a failed connection attempt was in (null if it completed)
+    failedPhase() {
+      if (marks.ready) return null;
+      if (!marks.lookup && net.isIP(host) === 0) return 'dns';
+      if (!marks.connect) return 'tcpConnect';
+      if (ssl && !marks.sslRequest) return 'sslRequest';
+      if (ssl && !marks.tlsHandshake) return 'tlsHandshake';
+      return 'auth';
+    }
+  };
+}
+
+module.exports = { PHASES, createPhaseTimer };
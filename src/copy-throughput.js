@@ -0,0 +1,142 @@
+// Bulk throughput with COPY
+//
+// Ping-sized queries say little about bandwidth, which is where a private
+// network should matter most for ETL and reporting jobs. With copy settings a
+// target also streams data in bulk after its workload, on the same connection:
+//
+//   out   COPY (SELECT ... FROM generate_series(1, rows)) TO STDOUT: the server
+//         generates the rows, the client reads and discards them
+//   in    COPY ... FROM STDIN into a temporary table, inside a transaction that
+//         is rolled back (so it works through PgBouncer in transaction mode and
+//         leaves nothing behind)
+//
+// Settings (per target "copy", or COPY_BENCHMARK for targets without one):
+//
+//   rows         rows per direction (default 10000)
+//   rowBytes     width of each row's text payload in bytes (default 100)
+//   directions   ["out", "in"] by default
+//
+// Each direction records its duration, the bytes and rows streamed, MB/s
+// (10^6 bytes per second) and rows/s. The COPY time is not part of
+// totalLatencyMs.
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { to: copyTo, from: copyFrom } = require('pg-copy-streams');
+
+const DIRECTIONS = ['out', 'in'];
+const PREFIXES = { out: 'copyOut', in: 'copyIn' }; // measurement field prefix per direction
+const DEFAULTS = { rows: 10000, rowBytes: 100, directions: DIRECTIONS };
+const MAX_ROWS = 10000000;
+const MAX_ROW_BYTES = 1024 * 1024;
+const CHUNK_BYTES = 64 * 1024; // COPY FROM STDIN is written in chunks of about this size
+
+function normalizeCopy(raw, source) {
+  if (raw === true) raw = {};
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${source}: copy must be an object or true`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!Object.keys(DEFAULTS).includes(key)) {
+      throw new Error(`${source}: unknown copy setting "${key}" (expected ${Object.keys(DEFAULTS).join(', ')})`);
+    }
+  }
+  const rows = raw.rows === undefined ? DEFAULTS.rows : Number(raw.rows);
+  const rowBytes = raw.rowBytes === undefined ? DEFAULTS.rowBytes : Number(raw.rowBytes);
+  const directions = raw.directions === undefined ? DEFAULTS.directions : raw.directions;
+  if (!(Number.isInteger(rows) && rows >= 1 && rows <= MAX_ROWS)) {
+    throw new Error(`${source}: copy "rows" must be an integer between 1 and ${MAX_ROWS}`);
+  }
+  if (!(Number.isInteger(rowBytes) && rowBytes >= 1 && rowBytes <= MAX_ROW_BYTES)) {
+    throw new Error(`${source}: copy "rowBytes" must be an integer between 1 and ${MAX_ROW_BYTES}`);
+  }
+  if (!Array.isArray(directions) || directions.length === 0 || directions.some(d => !DIRECTIONS.includes(d))) {
+    throw new Error(`${source}: copy "directions" must be a non-empty list of ${DIRECTIONS.join(' and ')}`);
+  }
+  return { rows, rowBytes, directions: DIRECTIONS.filter(d => directions.includes(d)) };
+}
+
+// COPY_BENCHMARK applies to every target without its own "copy"
+function loadCopy(raw, env = process.env) {
+  if (raw === false) return null;
+  if (raw) return normalizeCopy(raw, 'copy');
+  if (!env.COPY_BENCHMARK) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(env.COPY_BENCHMARK);
+  } catch (error) {
+    throw new Error(`COPY_BENCHMARK is not valid JSON: ${error.message}`);
+  }
+  return normalizeCopy(parsed, 'COPY_BENCHMARK');
+}
+
+// One-line description for logs
+const describeCopy = (s) => `${s.directions.join('+')} ${s.rows} rows x ${s.rowBytes} bytes`;
+
+// COPY text format rows "<i>\t<payload>\n", in chunks
+function* copyRows(rows, payload) {
+  let chunk = '';
+  for (let i = 1; i <= rows; i++) {
+    chunk += `${i}\t${payload}\n`;
+    if (chunk.length >= CHUNK_BYTES) {
+      yield Buffer.from(chunk);
+      chunk = '';
+    }
+  }
+  if (chunk) yield Buffer.from(chunk);
+}
+
+function throughputFields(prefix, start, bytes, rows) {
+  const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const seconds = latencyMs / 1000;
+  return {
+    [`${prefix}LatencyMs`]: latencyMs,
+    [`${prefix}Bytes`]: bytes,
+    [`${prefix}Rows`]: rows,
+    [`${prefix}MBps`]: seconds > 0 ? Math.round(bytes / 1e6 / seconds * 1000) / 1000 : null,
+    [`${prefix}RowsPerSec`]: seconds > 0 ? Math.round(rows / seconds) : null
+  };
+}
+
+async function copyOut(client, { rows, rowBytes }) {
+  const start = process.hrtime.bigint();
+  const stream = client.query(copyTo(
+    `COPY (SELECT i, repeat('x', ${rowBytes}) FROM generate_series(1, ${rows}) AS gs(i)) TO STDOUT`
+  ));
+  let bytes = 0;
+  for await (const chunk of stream) bytes += chunk.length;
+  return throughputFields(PREFIXES.out, start, bytes, stream.rowCount);
+}
+
+async function copyIn(client, { rows, rowBytes }) {
+  await client.query('BEGIN');
+  try {
+    await client.query('CREATE TEMP TABLE benchmark_copy (id int, payload text) ON COMMIT DROP');
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+    const source = Readable.from(copyRows(rows, 'x'.repeat(rowBytes)));
+    source.on('data', (chunk) => { bytes += chunk.length; });
+    const sink = client.query(copyFrom('COPY benchmark_copy (id, payload) FROM STDIN'));
+    await pipeline(source, sink);
+    return throughputFields(PREFIXES.in, start, bytes, sink.rowCount);
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+  }
+}
+
+// Run the configured COPY directions on an open client. Returns the
+// measurement fields (copyOutMBps, copyInLatencyMs, ...).
+async function runCopy(client, settings) {
+  const fields = {};
+  if (settings.directions.includes('out')) Object.assign(fields, await copyOut(client, settings));
+  if (settings.directions.includes('in')) Object.assign(fields, await copyIn(client, settings));
+  return fields;
+}
+
+// "copy out=85.2MB/s in=40.1MB/s" for the measurement log line
+const formatCopy = (fields) => 'copy ' + DIRECTIONS
+  .filter(d => fields[`${PREFIXES[d]}MBps`] !== undefined)
+  .map(d => `${d}=${fields[`${PREFIXES[d]}MBps`]}MB/s`)
+  .join(' ');
+
+module.exports = { loadCopy, describeCopy, runCopy, formatCopy };
@@ -0,0 +1,60 @@
+// Datastore drivers
+//
+// Measurements go through a driver, picked by the scheme of the target's URL,
+// so the same client/pool modes, stats and /metrics output cover every managed
+// engine that sits behind the VPC:
+//
+//   postgres   postgres://, postgresql://   (pg)
+//   mysql      mysql://                     (mysql2)
+//   redis      redis://, rediss://          (ioredis; also Valkey)
+//
+// A driver implements:
+//
+//   name, protocols, defaultPort
+//   tls(tlsConfig, url)       { connectionString, ssl, sslMode } for the URL
+//   connect(config, options)  open a connection from a getDbConfig() config;
+//                             options.onError is called if it breaks while idle,
+//                             options.timer times the connect phases (Postgres only,
+//                             see src/connection-phases.js)
+//   createPool(config)        a pool with pg.Pool's connect(), end() and counts
+//   ping(connection)          the smallest round trip (SELECT 1, PING)
+//   bulkRead(connection, rows)  read `rows` rows of about 100 bytes, resolves to the
+//                             number read
+//   prepare(connection, rows)  optional, untimed set-up for bulkRead
+//   roundTrip(connection, i)  one parameterised round trip (SELECT ?, ECHO)
+//   run(connection, workload) the measured steps, in runWorkload's result format
+//                             (see runOperations in ./operations.js)
+//   close(connection)
+//   tlsDetails(connection)    { protocol, cipher } or null without TLS
+//
+// Postgres runs the target's workload (see src/workload.js). MySQL and Redis run
+// the operations as the default workload's steps (ping, longQuery, roundTrip),
+// so their measurements carry the same pingLatencyMs, longQueryLatencyMs and
+// avgRoundTripMs fields.
+
+const DRIVERS = {
+  postgres: require('./postgres'),
+  mysql: require('./mysql'),
+  redis: require('./redis')
+};
+
+function getDriver(name) {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown driver "${name}" (expected ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return DRIVERS[name];
+}
+
+// Driver name for a connection string
+function driverName(url) {
+  const { protocol } = new URL(url);
+  const driver = Object.values(DRIVERS).find(d => d.protocols.includes(protocol));
+  if (!driver) {
+    throw new Error(`Unsupported URL scheme "${protocol}" (expected ${Object.values(DRIVERS).flatMap(d => d.protocols).map(p => `${p}//`).join(', ')})`);
+  }
+  return driver.name;
+}
+
+const driverFor = (url) => getDriver(driverName(url));
+
+module.exports = { DRIVERS: Object.keys(DRIVERS), getDriver, driverName, driverFor };
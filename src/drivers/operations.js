@@ -0,0 +1,40 @@
+// The default workload as driver operations
+//
+// Engines without SQL workloads run the default workload's steps through their
+// driver's ping, bulkRead and roundTrip, with the same step names, repeat
+// counts and result format as runWorkload. A driver's optional
+// prepare(connection, rows) runs first and is not timed, like a workload's setup.
+
+const { DEFAULT_WORKLOAD } = require('../workload');
+
+const BULK_ROWS = 1000; // rows read by the longQuery step, as in the default workload
+
+const elapsedMs = (since) => Number(process.hrtime.bigint() - since) / 1e6;
+
+async function runOperations(driver, connection) {
+  const operations = {
+    ping: async () => { await driver.ping(connection); return 1; },
+    longQuery: () => driver.bulkRead(connection, BULK_ROWS),
+    roundTrip: async (i) => { await driver.roundTrip(connection, i); return 1; }
+  };
+
+  if (driver.prepare) await driver.prepare(connection, BULK_ROWS);
+
+  const steps = {};
+  const start = process.hrtime.bigint();
+  for (const step of DEFAULT_WORKLOAD.steps) {
+    const stepStart = process.hrtime.bigint();
+    let rows = 0;
+    for (let i = 0; i < step.repeat; i++) rows += await operations[step.name](i);
+    const latencyMs = elapsedMs(stepStart);
+    steps[step.name] = { latencyMs, avgMs: latencyMs / step.repeat, iterations: step.repeat, rows };
+  }
+
+  return {
+    workload: DEFAULT_WORKLOAD.name,
+    steps,
+    queryLatencyMs: elapsedMs(start)
+  };
+}
+
+module.exports = { BULK_ROWS, runOperations };
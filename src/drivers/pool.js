@@ -0,0 +1,120 @@
+// Connection pool for drivers without one of their own
+//
+// Behaves like pg.Pool where the measurements and load tests depend on it:
+// connect() hands out an idle connection, opens a new one while fewer than
+// `max` exist, or waits up to connectionTimeoutMillis for a release (failing
+// with pg's "timeout exceeded when trying to connect"). Connections come with
+// release(error); releasing with an error closes the connection instead of
+// keeping it. Idle connections close after idleTimeoutMillis, and totalCount,
+// idleCount and waitingCount report the pool's state. One that breaks while
+// idle is dropped and emitted as 'error'.
+
+const { EventEmitter } = require('events');
+
+// open(onError) resolves to a new connection; close(connection) ends one
+function createPool({ open, close, max, idleTimeoutMillis, connectionTimeoutMillis }) {
+  const pool = new EventEmitter();
+  const idle = []; // { connection, timer }
+  const waiting = []; // { resolve, reject, timer }
+  let total = 0;
+  let ended = false;
+
+  const discard = (connection) => {
+    total--;
+    close(connection).catch(() => {});
+  };
+
+  const takeIdle = (connection) => {
+    const index = idle.findIndex(entry => entry.connection === connection);
+    if (index === -1) return false;
+    clearTimeout(idle[index].timer);
+    idle.splice(index, 1);
+    return true;
+  };
+
+  async function create() {
+    total++;
+    let connection;
+    try {
+      connection = await open((error) => {
+        // A connection in use fails its next operation and is released with the error
+        if (!takeIdle(connection)) return;
+        discard(connection);
+        pool.emit('error', error);
+      });
+    } catch (error) {
+      total--;
+      throw error;
+    }
+    connection.release = (error) => release(connection, error);
+    return connection;
+  }
+
+  // A connection was closed: open a new one for the longest waiting caller
+  function replace() {
+    const waiter = waiting.shift();
+    if (!waiter) return;
+    clearTimeout(waiter.timer);
+    create().then(waiter.resolve, waiter.reject);
+  }
+
+  function release(connection, error) {
+    if (error || ended) {
+      discard(connection);
+      replace();
+      return;
+    }
+    const waiter = waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(connection);
+      return;
+    }
+    const entry = { connection };
+    entry.timer = setTimeout(() => {
+      if (takeIdle(connection)) discard(connection);
+    }, idleTimeoutMillis);
+    idle.push(entry);
+  }
+
+  pool.connect = async () => {
+    if (ended) throw new Error('Cannot use a pool after calling end on the pool');
+    const entry = idle.pop();
+    if (entry) {
+      clearTimeout(entry.timer);
+      return entry.connection;
+    }
+    if (total < max) return create();
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(new Error('timeout exceeded when trying to connect'));
+      }, connectionTimeoutMillis);
+      waiting.push(waiter);
+    });
+  };
+
+  // Close the idle connections; the ones in use close when released
+  pool.end = async () => {
+    ended = true;
+    for (const waiter of waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Pool was ended'));
+    }
+    await Promise.all(idle.splice(0).map((entry) => {
+      clearTimeout(entry.timer);
+      total--;
+      return close(entry.connection).catch(() => {});
+    }));
+  };
+
+  Object.defineProperties(pool, {
+    totalCount: { get: () => total },
+    idleCount: { get: () => idle.length },
+    waitingCount: { get: () => waiting.length }
+  });
+  return pool;
+}
+
+module.exports = { createPool };
@@ -0,0 +1,59 @@
+// PostgreSQL driver (pg)
+//
+// The original benchmark engine: workload files, COPY throughput, connection
+// phase timing and idle tests are only available for Postgres targets.
+
+const { Client, Pool } = require('pg');
+const { runWorkload } = require('../workload');
+const { tlsDetails } = require('../tls');
+
+// The default workload's longQuery with the row count as a parameter
+const BULK_READ_SQL = `
+  SELECT
+    gs.id,
+    md5(random()::text) as hash1,
+    md5(random()::text) as hash2,
+    md5(random()::text) as hash3,
+    now() as timestamp
+  FROM generate_series(1, $1::int) as gs(id)
+`;
+
+async function connect(config, { timer = null, onError = () => {} } = {}) {
+  const client = new Client(timer ? { ...config, stream: timer.socket } : config);
+  // A connection dropped between queries (or while ending) is emitted as an
+  // 'error' event, which would otherwise crash the process; the pending
+  // query or connect() rejects with it anyway
+  client.on('error', onError);
+  if (timer) timer.attach(client);
+  try {
+    await client.connect();
+  } catch (error) {
+    client.end().catch(() => {});
+    throw error;
+  }
+  return client;
+}
+
+module.exports = {
+  name: 'postgres',
+  protocols: ['postgres:', 'postgresql:'],
+  defaultPort: 5432,
+
+  tls: (tlsConfig, url) => tlsConfig(url),
+
+  connect,
+
+  createPool: (config) => new Pool(config),
+
+  ping: (client) => client.query('SELECT 1'),
+
+  bulkRead: async (client, rows) => (await client.query(BULK_READ_SQL, [rows])).rowCount,
+
+  roundTrip: (client, i) => client.query('SELECT $1::int', [i]),
+
+  run: (client, workload) => runWorkload(client, workload),
+
+  close: (client) => client.end(),
+
+  tlsDetails
+};
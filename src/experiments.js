@@ -0,0 +1,193 @@
+// Experiments
+//
+// Segments (see src/segments.js) separate configurations within one app; an
+// experiment records where and what the app itself was. Every measurement is
+// tagged with the experiment id and its metadata, plus the database endpoint
+// the target used:
+//
+//   EXPERIMENT_ID             id (default: exp-<hash of the metadata>, so a
+//                             restart or redeploy with the same metadata
+//                             continues the experiment)
+//   EXPERIMENT_REGION         e.g. syd1
+//   EXPERIMENT_INSTANCE_SIZE  e.g. apps-s-1vcpu-0.5gb
+//   EXPERIMENT_COMMIT         git commit (default: App Platform's COMMIT_HASH,
+//                             then `git rev-parse HEAD`)
+//   EXPERIMENT_LABELS         free-form labels: "key=value,key=value"
+//
+//   dbHostType  private for DigitalOcean's private-<host> hostnames, else public
+//   dbPort      25060 (direct) or 25061 (PgBouncer), or the driver's default
+//
+// With a shared results store (RESULTS_STORE=postgres pointing both apps at the
+// same database) the VPC and public apps' experiments can be listed and
+// compared from either app.
+
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { getDriver } = require('./drivers');
+
+// "team=db, run=3" -> { team: 'db', run: '3' }
+function parseLabels(value) {
+  const labels = {};
+  for (const entry of (value || '').split(',')) {
+    if (!entry.trim()) continue;
+    const separator = entry.indexOf('=');
+    if (separator < 1) throw new Error(`Invalid EXPERIMENT_LABELS entry "${entry.trim()}" (expected key=value)`);
+    labels[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+  return labels;
+}
+
+function gitCommit(env) {
+  if (env.EXPERIMENT_COMMIT) return env.EXPERIMENT_COMMIT;
+  if (env.COMMIT_HASH) return env.COMMIT_HASH;
+  // Buildpack images usually ship without .git, so this mostly helps local runs
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'], timeout: 2000 }).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function loadExperiment({ env = process.env, appType }) {
+  const metadata = {
+    appType,
+    region: env.EXPERIMENT_REGION || null,
+    instanceSize: env.EXPERIMENT_INSTANCE_SIZE || null,
+    commit: gitCommit(env),
+    labels: parseLabels(env.EXPERIMENT_LABELS)
+  };
+  const id = env.EXPERIMENT_ID ||
+    `exp-${crypto.createHash('sha256').update(JSON.stringify(metadata)).digest('hex').slice(0, 10)}`;
+  return { id, metadata };
+}
+
+// Host type and port of a target's database
+function dbEndpoint(target) {
+  const url = new URL(target.url);
+  return {
+    dbHostType: url.hostname.startsWith('private-') ? 'private' : 'public',
+    dbPort: parseInt(url.port || String(getDriver(target.driver).defaultPort), 10)
+  };
+}
+
+// The fields a measurement of `target` is tagged with
+const experimentFields = (experiment, target) => ({
+  experiment: experiment.id,
+  experimentMeta: experiment.metadata,
+  ...dbEndpoint(target)
+});
+
+// Summarise the experiments found in a list of results, oldest first
+function listExperiments(results) {
+  const experiments = new Map();
+  for (const r of results) {
+    if (!r.experiment) continue;
+    let experiment = experiments.get(r.experiment);
+    if (!experiment) {
+      experiment = {
+        id: r.experiment,
+        metadata: r.experimentMeta || null,
+        firstMeasurement: r.timestamp,
+        lastMeasurement: r.timestamp,
+        measurements: 0,
+        failed: 0,
+        targets: [],
+        segments: []
+      };
+      experiments.set(r.experiment, experiment);
+    }
+    experiment.lastMeasurement = r.timestamp;
+    experiment.measurements++;
+    if (!r.success) experiment.failed++;
+    if (r.segment && !experiment.segments.includes(r.segment)) experiment.segments.push(r.segment);
+
+    let target = experiment.targets.find(t => t.name === r.target);
+    if (!target) {
+      target = { name: r.target, driver: r.driver, dbHostType: r.dbHostType, dbPorts: [], modes: [], measurements: 0 };
+      experiment.targets.push(target);
+    }
+    target.measurements++;
+    if (r.dbPort !== undefined && !target.dbPorts.includes(r.dbPort)) target.dbPorts.push(r.dbPort);
+    if (!target.modes.includes(r.mode)) target.modes.push(r.mode);
+  }
+  return [...experiments.values()];
+}
+
+// Column heading for an experiment: its app type, or the id when both sides
+// ran as the same app type
+const columnName = (experiment, other) =>
+  (experiment.metadata && other.metadata && experiment.metadata.appType !== other.metadata.appType
+    ? experiment.metadata.appType
+    : experiment.id);
+
+// README rows: label, latency stats key (see calculateStats)
+const TABLE_ROWS = [
+  ['Ping (SELECT 1)', 'ping'],
+  ['Avg Round Trip (10x queries)', 'avgRoundTrip'],
+  ['Long Query (1000 rows)', 'longQuery'],
+  ['Total', 'total']
+];
+
+// The side the comparison (see src/compare.js) found faster: 'a', 'b', or
+// null when it found no significant difference or had too little data to
+// test. Mann-Whitney compares ranks, so the side is the one with the lower
+// median, as in the comparison's verdict.
+const winnerOf = (metric) => (metric && metric.significant === true
+  ? (metric.medianA < metric.medianB ? 'a' : 'b')
+  : null);
+
+// "**33% faster**" for A against B (by median), or "Similar" unless the
+// comparison found a significant difference
+function advantage(a, b, metric) {
+  if (!a || !b) return '-';
+  if (!winnerOf(metric)) return 'Similar';
+  if (metric.medianB === 0) return '-';
+  const change = Math.round((metric.medianB - metric.medianA) / metric.medianB * 100);
+  if (change === 0) return 'Same';
+  return change > 0 ? `**${change}% faster**` : `${-change}% slower`;
+}
+
+// Markdown tables in the layout of the README's Test Results: one per compared
+// target (averages, the faster side in bold when the difference is
+// significant, the advantage by median), then a summary of the totals. comparison is the
+// /experiments/compare response.
+function experimentTable(comparison) {
+  const nameA = columnName(comparison.a, comparison.b);
+  const nameB = columnName(comparison.b, comparison.a);
+  const lines = [];
+  for (const pair of comparison.targets) {
+    const latencyA = pair.a.latency || {};
+    const latencyB = pair.b.latency || {};
+    lines.push(`### ${pair.a.target === pair.b.target ? pair.a.target : `${pair.a.target} vs ${pair.b.target}`}`, '');
+    lines.push(`| Metric | ${nameA} | ${nameB} | ${nameA} Advantage |`);
+    lines.push(`|--------|${'-'.repeat(nameA.length + 2)}|${'-'.repeat(nameB.length + 2)}|${'-'.repeat(nameA.length + 12)}|`);
+    for (const [label, key] of TABLE_ROWS) {
+      const a = latencyA[key];
+      const b = latencyB[key];
+      if (!a && !b) continue;
+      const metric = pair.comparison.metrics[key];
+      const winner = a && b ? winnerOf(metric) : null;
+      const cell = (stats, side) => (stats ? (winner === side ? `**${stats.avg}ms**` : `${stats.avg}ms`) : '-');
+      lines.push(`| ${label} | ${cell(a, 'a')} | ${cell(b, 'b')} | ${advantage(a, b, metric)} |`);
+    }
+    lines.push('');
+  }
+
+  if (comparison.targets.length > 1) {
+    lines.push('### Summary Comparison', '');
+    lines.push(`| Configuration | ${nameA} Total | ${nameB} Total | Winner |`);
+    lines.push(`|--------------|${'-'.repeat(nameA.length + 8)}|${'-'.repeat(nameB.length + 8)}|--------|`);
+    for (const pair of comparison.targets) {
+      const a = pair.a.latency && pair.a.latency.total;
+      const b = pair.b.latency && pair.b.latency.total;
+      const metric = pair.comparison.metrics.total;
+      const side = a && b ? winnerOf(metric) : null;
+      const winner = side === 'a' ? nameA : side === 'b' ? nameB : '-';
+      lines.push(`| ${pair.a.target} | ${a ? `${a.avg}ms` : '-'} | ${b ? `${b.avg}ms` : '-'} | ${winner} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { loadExperiment, parseLabels, dbEndpoint, experimentFields, listExperiments, experimentTable };
@@ -0,0 +1,119 @@
+// Flat CSV and NDJSON export of stored measurements
+//
+// Measurements nest some fields (poolStats, steps), which spreadsheets and
+// dataframes handle badly. Exported rows are flattened into dotted columns:
+//
+//   poolStats.total, poolStats.idle, poolStats.waiting
+//   noise.eventLoopDelayMaxMs, noise.gcPauseMs, noise.cpuPercent, ...
+//   steps.<name>.latencyMs, steps.<name>.avgMs, steps.<name>.rows, ...
+//
+// Known fields come first in a fixed order (identity, schedule, latency phases,
+// COPY throughput, pool stats, TLS, client noise, error fields), followed by
+// any others in alphabetical order. A column that is missing from a
+// measurement is left empty.
+
+const { PHASES } = require('./connection-phases');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const COLUMNS = [
+  'timestamp', 'target', 'driver', 'mode', 'success', 'workload', 'segment', 'segmentLabel',
+  'experiment', 'experimentMeta.appType', 'experimentMeta.region', 'experimentMeta.instanceSize',
+  'experimentMeta.commit', 'dbHostType', 'dbPort',
+  'cycle', 'manual', 'intendedStart', 'actualStart', 'scheduleDelayMs',
+  'connectLatencyMs', ...PHASES.map(phase => `${phase}LatencyMs`),
+  'poolAcquireMs', 'pingLatencyMs', 'longQueryLatencyMs', 'longQueryRows',
+  'multiRoundTripLatencyMs', 'avgRoundTripMs', 'queryLatencyMs', 'totalLatencyMs',
+  'correctedTotalLatencyMs',
+  'copyOutLatencyMs', 'copyOutBytes', 'copyOutRows', 'copyOutMBps', 'copyOutRowsPerSec',
+  'copyInLatencyMs', 'copyInBytes', 'copyInRows', 'copyInMBps', 'copyInRowsPerSec',
+  'poolStats.total', 'poolStats.idle', 'poolStats.waiting',
+  'sslMode', 'tlsProtocol', 'tlsCipher',
+  'noisy', 'noiseReasons', 'noise.eventLoopDelayMaxMs', 'noise.eventLoopDelayMeanMs', 'noise.gcPauseMs',
+  'noise.gcCount', 'noise.cpuUserMs', 'noise.cpuSystemMs', 'noise.cpuPercent',
+  'connectPhase', 'stage', 'errorCategory', 'errorCode', 'error'
+];
+
+// { a: { b: 1 } } -> { 'a.b': 1 }
+function flattenResult(result, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(result)) {
+    const name = prefix + key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenResult(value, `${name}.`, flat);
+    } else {
+      flat[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return flat;
+}
+
+// Columns in export order: the known ones present, then the rest
+function exportColumns(present) {
+  const known = COLUMNS.filter(column => present.has(column));
+  const rest = [...present].filter(column => !COLUMNS.includes(column)).sort();
+  return [...known, ...rest];
+}
+
+// RFC 4180 quoting
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvValue).join(',') + '\r\n';
+
+// Filters beyond target, segment and time: ?success=true|false,
+// ?noisy=true|false and ?mode=client|pool. Throws on invalid values.
+function parseExportFilter(query) {
+  const filter = {};
+  for (const flag of ['success', 'noisy']) {
+    if (query[flag] === undefined) continue;
+    if (query[flag] !== 'true' && query[flag] !== 'false') {
+      throw new Error(`Invalid ${flag} "${query[flag]}" (expected true or false)`);
+    }
+    filter[flag] = query[flag] === 'true';
+  }
+  if (query.mode !== undefined) {
+    if (query.mode !== 'client' && query.mode !== 'pool') {
+      throw new Error(`Invalid mode "${query.mode}" (expected client or pool)`);
+    }
+    filter.mode = query.mode;
+  }
+  return filter;
+}
+
+const matchesExportFilter = (result, filter) =>
+  (filter.success === undefined || result.success === filter.success) &&
+  (filter.noisy === undefined || Boolean(result.noisy) === filter.noisy) &&
+  (filter.mode === undefined || result.mode === filter.mode);
+
+// Yield the export as text lines, one per measurement. results() returns a
+// fresh (async) iterable of the measurements each time it is called: NDJSON
+// reads it once, CSV twice (first to collect the header's columns), so only
+// one measurement is held at a time either way.
+async function* exportLines(results, format) {
+  if (format === 'ndjson') {
+    for await (const result of results()) {
+      const row = flattenResult(result);
+      yield JSON.stringify(Object.fromEntries(exportColumns(new Set(Object.keys(row))).map(column => [column, row[column]]))) + '\n';
+    }
+    return;
+  }
+
+  const present = new Set();
+  for await (const result of results()) {
+    for (const key of Object.keys(flattenResult(result))) present.add(key);
+  }
+  const columns = exportColumns(present);
+  yield csvLine(columns);
+  for await (const result of results()) {
+    const row = flattenResult(result);
+    yield csvLine(columns.map(column => row[column]));
+  }
+}
+
+module.exports = { FORMATS, parseExportFilter, matchesExportFilter, exportLines };
@@ -0,0 +1,181 @@
+// Failure classification and outage tracking
+//
+// A failed measurement records the error's category next to its message, so
+// failures can be counted by cause instead of by free-text message:
+//
+//   dns                 hostname could not be resolved
+//   tcp_refused         nothing listening (connection refused)
+//   tcp_timeout         TCP connect timed out or the host/network is unreachable
+//   connect_timeout     pg's connectionTimeoutMillis expired while connecting
+//   tls                 SSL negotiation or certificate verification failed
+//   auth                server rejected the credentials or database
+//   server_unavailable  server is starting, shutting down or out of connections
+//   pool_timeout        no pool connection became available in time
+//   connection_reset    connection dropped after it was established
+//   query_error         server returned an error for a workload statement
+//   unknown             anything else
+//
+// Consecutive failures of a target are grouped into outage windows. An outage
+// starts at its first failed measurement and ends at the next successful one,
+// which gives MTTR (mean outage duration) and MTBF (mean up time between
+// outages) for the observed period.
+
+const CATEGORIES = [
+  'dns', 'tcp_refused', 'tcp_timeout', 'connect_timeout', 'tls', 'auth',
+  'server_unavailable', 'pool_timeout', 'connection_reset', 'query_error', 'unknown'
+];
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NONAME'];
+const UNREACHABLE_CODES = ['ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ENETDOWN'];
+const RESET_CODES = ['ECONNRESET', 'EPIPE', 'ECONNABORTED'];
+const CERT_CODES = [
+  'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID', 'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+// SQLSTATEs meaning the server can't take the connection right now
+const UNAVAILABLE_SQLSTATES = ['53300', '57P01', '57P02', '57P03'];
+
+// MySQL server errors (mysql2 codes); any other ER_ code is a query error
+const MYSQL_AUTH_CODES = ['ER_ACCESS_DENIED_ERROR', 'ER_DBACCESS_DENIED_ERROR', 'ER_BAD_DB_ERROR', 'ER_NOT_SUPPORTED_AUTH_MODE'];
+const MYSQL_UNAVAILABLE_CODES = ['ER_CON_COUNT_ERROR', 'ER_TOO_MANY_USER_CONNECTIONS', 'ER_SERVER_SHUTDOWN', 'ER_SERVER_OFFLINE_MODE'];
+
+// pg, mysql2 and ioredis report a few conditions only through the message
+const MESSAGES = [
+  { pattern: /timeout exceeded when trying to connect/i, category: 'pool_timeout' },
+  { pattern: /connection timeout/i, category: 'connect_timeout' },
+  { pattern: /does not support SSL|Server does not support secure connection/i, category: 'tls' },
+  { pattern: /Connection terminated|Connection lost|Connection is closed/i, category: 'connection_reset' },
+  { pattern: /^(NOAUTH|WRONGPASS|NOPERM)\b/, category: 'auth' },
+  { pattern: /^(LOADING|MASTERDOWN|BUSY)\b|max number of clients reached/i, category: 'server_unavailable' }
+];
+
+// Connection phase a client-mode failure stopped in (see connection-phases.js),
+// used when the error itself says nothing more specific
+const PHASE_CATEGORIES = {
+  dns: 'dns',
+  tcpConnect: 'tcp_timeout',
+  sslRequest: 'tls',
+  tlsHandshake: 'tls',
+  auth: 'auth'
+};
+
+// Classify an error. context.stage is 'acquire' when a pool checkout failed,
+// context.connectPhase the phase a client-mode connect failed in.
+function classifyError(error, context = {}) {
+  const code = error && error.code;
+  const message = (error && error.message) || '';
+
+  if (code) {
+    if (DNS_CODES.includes(code)) return 'dns';
+    if (code === 'ECONNREFUSED') return 'tcp_refused';
+    if (UNREACHABLE_CODES.includes(code)) return 'tcp_timeout';
+    if (RESET_CODES.includes(code)) return 'connection_reset';
+    if (CERT_CODES.includes(code) || /^ERR_(TLS|SSL)_/.test(code)) return 'tls';
+
+    // Postgres SQLSTATE: class 28 is invalid authorization, 3D000 an unknown database
+    if (/^[0-9A-Z]{5}$/.test(code)) {
+      if (code.startsWith('28') || code === '3D000') return 'auth';
+      if (UNAVAILABLE_SQLSTATES.includes(code)) return 'server_unavailable';
+      return 'query_error';
+    }
+
+    if (code === 'PROTOCOL_CONNECTION_LOST') return 'connection_reset';
+    if (MYSQL_AUTH_CODES.includes(code)) return 'auth';
+    if (MYSQL_UNAVAILABLE_CODES.includes(code)) return 'server_unavailable';
+    if (String(code).startsWith('ER_')) return 'query_error';
+  }
+
+  for (const { pattern, category } of MESSAGES) {
+    if (pattern.test(message)) {
+      // pg.Pool uses the same timeout message whether it was waiting for an idle
+      // connection or opening a new one; both count as an acquire timeout
+      if (category === 'pool_timeout' && context.stage && context.stage !== 'acquire') break;
+      return category;
+    }
+  }
+
+  // Any other Redis error reply
+  if (error && error.name === 'ReplyError') return 'query_error';
+
+  if (context.connectPhase && PHASE_CATEGORIES[context.connectPhase]) {
+    return PHASE_CATEGORIES[context.connectPhase];
+  }
+  return 'unknown';
+}
+
+// Fields recorded on a failed measurement
+const failureFields = (error, context) => ({
+  error: error.message,
+  errorCode: error.code || null,
+  errorCategory: classifyError(error, context)
+});
+
+const timeOf = (result) => new Date(result.actualStart || result.timestamp).getTime();
+
+// Group one target's results (in measurement order) into outage windows
+function findOutages(results) {
+  const outages = [];
+  let current = null;
+
+  for (const r of results) {
+    if (!r.success) {
+      if (!current) {
+        current = { start: timeOf(r), end: null, failures: 0, categories: {} };
+        outages.push(current);
+      }
+      const category = r.errorCategory || classifyError({ message: r.error, code: r.errorCode }, r);
+      current.failures++;
+      current.categories[category] = (current.categories[category] || 0) + 1;
+    } else if (current) {
+      current.end = timeOf(r);
+      current = null;
+    }
+  }
+
+  return outages.map(o => ({
+    start: new Date(o.start).toISOString(),
+    end: o.end ? new Date(o.end).toISOString() : null,
+    durationMs: o.end ? o.end - o.start : null,
+    ongoing: o.end === null,
+    failures: o.failures,
+    categories: o.categories
+  }));
+}
+
+// Reliability summary for one target's results (in measurement order)
+function summarizeReliability(results) {
+  const failuresByCategory = {};
+  for (const r of results) {
+    if (r.success) continue;
+    const category = r.errorCategory || classifyError({ message: r.error, code: r.errorCode }, r);
+    failuresByCategory[category] = (failuresByCategory[category] || 0) + 1;
+  }
+
+  const outages = findOutages(results);
+  if (results.length === 0) {
+    return { observedMs: 0, failuresByCategory, outageCount: 0, ongoingOutage: false, downtimeMs: 0, availability: null, mttrMs: null, mtbfMs: null, outages };
+  }
+
+  const first = timeOf(results[0]);
+  const last = timeOf(results[results.length - 1]);
+  const observedMs = last - first;
+
+  // An ongoing outage counts as down up to the last measurement
+  const durations = outages.map(o => (o.ongoing ? last - new Date(o.start).getTime() : o.durationMs));
+  const downtimeMs = durations.reduce((a, b) => a + b, 0);
+  const resolved = outages.filter(o => !o.ongoing);
+
+  return {
+    observedMs,
+    failuresByCategory,
+    outageCount: outages.length,
+    ongoingOutage: outages.length > 0 && outages[outages.length - 1].ongoing,
+    downtimeMs,
+    availability: observedMs > 0 ? Math.round((1 - downtimeMs / observedMs) * 100000) / 1000 : null,
+    mttrMs: resolved.length > 0 ? resolved.reduce((a, o) => a + o.durationMs, 0) / resolved.length : null,
+    mtbfMs: outages.length > 0 ? (observedMs - downtimeMs) / outages.length : null,
+    outages
+  };
+}
+
+module.exports = { CATEGORIES, classifyError, failureFields, findOutages, summarizeReliability };
@@ -0,0 +1,115 @@
+// Mergeable streaming latency histograms
+//
+// Values are counted into logarithmic buckets, each 1% wider than the one
+// before, so a histogram is a small sparse map whatever the number of samples.
+// Recording is O(1), two histograms merge by adding counts, and percentiles are
+// read off the cumulative counts without sorting. Count, sum, min and max are
+// exact; percentiles are within 0.5% of the true sample value.
+//
+// Per-interval aggregates (e.g. one histogram per minute) can be merged into
+// hourly or whole-window statistics without going back to the raw samples.
+
+const GROWTH = 1.01;
+const LOG_GROWTH = Math.log(GROWTH);
+const MIN_VALUE = 0.001; // ms; smaller values (including 0) share the lowest bucket
+
+const bucketOf = (value) => Math.floor(Math.log(Math.max(value, MIN_VALUE) / MIN_VALUE) / LOG_GROWTH);
+
+// Geometric middle of a bucket
+const bucketValue = (index) => MIN_VALUE * Math.pow(GROWTH, index + 0.5);
+
+function createHistogram() {
+  const counts = new Map();
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  const histogram = {
+    record(value) {
+      const index = bucketOf(value);
+      counts.set(index, (counts.get(index) || 0) + 1);
+      count++;
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+      return histogram;
+    },
+
+    // Add another histogram's samples to this one
+    merge(other) {
+      const state = other.state();
+      for (const [index, n] of state.counts) counts.set(index, (counts.get(index) || 0) + n);
+      count += state.count;
+      sum += state.sum;
+      if (state.min < min) min = state.min;
+      if (state.max > max) max = state.max;
+      return histogram;
+    },
+
+    state: () => ({ counts, count, sum, min, max }),
+
+    count: () => count,
+
+    // Same rank definition as stats.percentile: the ceil(p% * n)-th smallest sample
+    percentile(p) {
+      if (count === 0) return null;
+      if (p <= 0) return min;
+      if (p >= 100) return max;
+      const rank = Math.max(1, Math.ceil((p / 100) * count));
+      const indexes = [...counts.keys()].sort((a, b) => a - b);
+      let seen = 0;
+      for (const index of indexes) {
+        seen += counts.get(index);
+        if (seen >= rank) return Math.min(max, Math.max(min, bucketValue(index)));
+      }
+      return max;
+    },
+
+    // { count, min, max, avg, p50, p95, p99 } in the recorded unit, or null when empty
+    summary() {
+      if (count === 0) return null;
+      return {
+        count,
+        min,
+        max,
+        avg: sum / count,
+        p50: histogram.percentile(50),
+        p95: histogram.percentile(95),
+        p99: histogram.percentile(99)
+      };
+    }
+  };
+
+  return histogram;
+}
+
+// A set of named histograms, e.g. one per latency phase, that merges as a unit
+function createHistogramSet() {
+  const histograms = new Map();
+
+  const set = {
+    record(name, value) {
+      if (typeof value !== 'number' || Number.isNaN(value)) return set;
+      if (!histograms.has(name)) histograms.set(name, createHistogram());
+      histograms.get(name).record(value);
+      return set;
+    },
+
+    merge(other) {
+      for (const [name, histogram] of other.entries()) {
+        if (!histograms.has(name)) histograms.set(name, createHistogram());
+        histograms.get(name).merge(histogram);
+      }
+      return set;
+    },
+
+    get: (name) => histograms.get(name) || null,
+
+    entries: () => histograms.entries()
+  };
+
+  return set;
+}
+
+module.exports = { createHistogram, createHistogramSet };
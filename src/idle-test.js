@@ -0,0 +1,297 @@
+// Idle connection survival test
+//
+// Pools recycle idle connections after idleTimeoutMillis (30s here), so the
+// scheduled benchmark never finds out whether a network path silently drops
+// connections that sit idle for minutes: NAT gateways and load balancers
+// expire idle flows, and the next query on such a connection hangs or fails.
+// An idle test opens a set of connections, leaves them idle, and checks each
+// one with SELECT 1 after its idle duration:
+//
+//   { "target": "default", "durations": ["1m", "5m", "15m", "30m", "60m"], "connections": 2 }
+//
+// Every duration gets `connections` connections without TCP keepalive and as
+// many with it (keepAliveInitialDelaySec, default 60; the OS decides the probe
+// interval and count), unless "keepAlive" is [false] or [true]. Each connection
+// ends up with one outcome:
+//
+//   alive    SELECT 1 answered after the idle period
+//   hang     no answer within checkTimeoutSec: the path dropped the flow silently
+//   reset    TCP RST (ECONNRESET/EPIPE), while idle or on the check
+//   closed   the connection was closed (FIN) without an error
+//   error    anything else, e.g. a server-side FATAL such as idle_session_timeout
+//            or ETIMEDOUT once keepalive probes went unanswered
+//
+// `detected` says whether the break surfaced while the connection sat idle
+// (pg emitted an error or end event; brokeAfterSec records when) or only when
+// it was used. The report summarises the outcomes per duration and keepalive
+// setting, and the longest idle time that survived in each.
+
+const { Client } = require('pg');
+const { round2 } = require('./stats');
+const { failureFields } = require('./failures');
+const { parseDuration } = require('./time-window');
+
+const MAX_DURATION_MS = 24 * 3600 * 1000;
+const MAX_CONNECTIONS = 200;
+const MAX_DURATIONS = 20;
+const KEEP_REPORTS = 20;
+const RESET_CODES = ['ECONNRESET', 'EPIPE', 'ECONNABORTED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Validate an idle test request. Throws with a message suitable for a 400.
+function parseIdleOptions(body) {
+  const raw = body.durations !== undefined ? body.durations : ['1m', '5m', '15m', '30m'];
+  if (!Array.isArray(raw) || raw.length === 0 || raw.length > MAX_DURATIONS) {
+    throw new Error(`"durations" must be a list of 1 to ${MAX_DURATIONS} durations`);
+  }
+  const durationsMs = [...new Set(raw.map(d => parseDuration(d, 'duration')))].sort((a, b) => a - b);
+  if (durationsMs[durationsMs.length - 1] > MAX_DURATION_MS) {
+    throw new Error('Idle durations can be at most 24h');
+  }
+
+  const keepAlive = body.keepAlive !== undefined ? body.keepAlive : [false, true];
+  if (!Array.isArray(keepAlive) || keepAlive.length === 0 || keepAlive.some(k => typeof k !== 'boolean')) {
+    throw new Error('"keepAlive" must be a non-empty list of booleans, e.g. [false, true]');
+  }
+  const connections = parseInt(body.connections || 2, 10);
+  const keepAliveInitialDelaySec = Number(body.keepAliveInitialDelaySec !== undefined ? body.keepAliveInitialDelaySec : 60);
+  const checkTimeoutSec = Number(body.checkTimeoutSec || 10);
+  if (!(connections >= 1)) throw new Error('"connections" must be a positive integer');
+  const total = connections * durationsMs.length * new Set(keepAlive).size;
+  if (total > MAX_CONNECTIONS) {
+    throw new Error(`An idle test can hold at most ${MAX_CONNECTIONS} connections (this one needs ${total})`);
+  }
+  if (!(keepAliveInitialDelaySec >= 1)) throw new Error('"keepAliveInitialDelaySec" must be at least 1');
+  if (!(checkTimeoutSec > 0 && checkTimeoutSec <= 300)) throw new Error('"checkTimeoutSec" must be between 0 and 300');
+
+  return {
+    durationsMs,
+    keepAlive: [false, true].filter(k => keepAlive.includes(k)),
+    connections,
+    keepAliveInitialDelaySec,
+    checkTimeoutSec,
+    label: body.label || null
+  };
+}
+
+// How a broken connection showed itself
+function outcomeOf(error) {
+  if (!error) return 'closed';
+  if (RESET_CODES.includes(error.code)) return 'reset';
+  if (/Connection terminated/i.test(error.message) && !error.code) return 'closed';
+  return 'error';
+}
+
+// Open one connection and watch it while it idles
+async function openConnection(config, entry, options) {
+  const client = new Client({
+    ...config,
+    keepAlive: entry.keepAlive,
+    keepAliveInitialDelayMillis: entry.keepAlive ? options.keepAliveInitialDelaySec * 1000 : 0
+  });
+  const state = { client, broken: null, checking: false, closing: false };
+
+  // A break while idle arrives as an 'error' (reset, server FATAL, keepalive
+  // timeout) or a bare 'end' (FIN); during the check the query reports it
+  client.on('error', (error) => {
+    if (!state.broken && !state.checking) state.broken = { error, at: Date.now() };
+  });
+  client.on('end', () => {
+    if (!state.broken && !state.checking && !state.closing) state.broken = { error: null, at: Date.now() };
+  });
+
+  await client.connect();
+  await client.query('SELECT 1');
+  entry.connectedAt = new Date().toISOString();
+  return state;
+}
+
+// Tear a connection down without waiting on a peer that may never answer
+function destroy(state) {
+  state.closing = true;
+  const stream = state.client.connection && state.client.connection.stream;
+  if (stream) stream.destroy();
+  state.client.end().catch(() => {});
+}
+
+// Record a break seen while the connection sat idle
+function recordIdleBreak(state, entry) {
+  const { error, at } = state.broken;
+  Object.assign(entry, {
+    outcome: outcomeOf(error),
+    detected: 'idle',
+    brokeAfterSec: round2((at - Date.parse(entry.connectedAt)) / 1000),
+    ...(error ? failureFields(error, {}) : {})
+  });
+}
+
+async function check(state, entry, options) {
+  entry.checkedAt = new Date().toISOString();
+  entry.idleSec = round2((Date.now() - Date.parse(entry.connectedAt)) / 1000);
+  if (state.broken) return recordIdleBreak(state, entry);
+
+  state.checking = true;
+  const start = process.hrtime.bigint();
+  let timer = null;
+  // A hung query only settles once the connection is destroyed, after the race
+  const query = state.client.query('SELECT 1').then(() => ({ ok: true }), (error) => ({ error }));
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ hang: true }), options.checkTimeoutSec * 1000);
+  });
+  const result = await Promise.race([query, timeout]);
+  clearTimeout(timer);
+
+  if (result.ok) {
+    Object.assign(entry, { outcome: 'alive', checkLatencyMs: round2(Number(process.hrtime.bigint() - start) / 1e6) });
+  } else if (result.hang) {
+    Object.assign(entry, { outcome: 'hang', detected: 'check', error: `No answer to SELECT 1 within ${options.checkTimeoutSec}s` });
+  } else {
+    Object.assign(entry, { outcome: outcomeOf(result.error), detected: 'check', ...failureFields(result.error, {}) });
+  }
+}
+
+// Outcome counts per idle duration and keepalive setting; per keepalive setting
+// the longest idle duration every connection survived, the first one where
+// some didn't, and the earliest break seen while idle
+function summarize(report) {
+  const rows = [];
+  for (const keepAlive of report.keepAlive) {
+    for (const durationSec of report.durationsSec) {
+      const entries = report.connections.filter(c =>
+        c.keepAlive === keepAlive && c.durationSec === durationSec && c.outcome && c.outcome !== 'connect_failed');
+      if (entries.length === 0) continue;
+      const outcomes = {};
+      for (const c of entries) outcomes[c.outcome] = (outcomes[c.outcome] || 0) + 1;
+      rows.push({ keepAlive, durationSec, checked: entries.length, alive: outcomes.alive || 0, outcomes });
+    }
+  }
+  const survival = report.keepAlive.map(keepAlive => {
+    const own = rows.filter(r => r.keepAlive === keepAlive);
+    const firstBroken = own.find(r => r.alive < r.checked);
+    const survived = own.filter(r => r.alive === r.checked && (!firstBroken || r.durationSec < firstBroken.durationSec));
+    const idleBreaks = report.connections
+      .filter(c => c.keepAlive === keepAlive && c.detected === 'idle')
+      .map(c => c.brokeAfterSec);
+    return {
+      keepAlive,
+      longestSurvivedSec: survived.length > 0 ? survived[survived.length - 1].durationSec : null,
+      firstBrokenSec: firstBroken ? firstBroken.durationSec : null,
+      earliestIdleBreakSec: idleBreaks.length > 0 ? Math.min(...idleBreaks) : null
+    };
+  });
+  return { rows, survival };
+}
+
+// One idle test may run at a time. Reports are kept in memory, newest last.
+function createIdleTester({ appType, getDbConfig }) {
+  const reports = [];
+  let running = null;
+  let nextId = 1;
+
+  async function execute(target, options, report) {
+    const states = new Map(); // connection index -> state
+    try {
+      // Open everything first, so every connection starts idling at about the same time
+      await Promise.all(report.connections.map(async (entry) => {
+        try {
+          states.set(entry.index, await openConnection(getDbConfig(target), entry, options));
+        } catch (error) {
+          Object.assign(entry, { outcome: 'connect_failed', ...failureFields(error, {}) });
+        }
+      }));
+      if (states.size === 0) throw new Error('No connection could be opened');
+      const idleSince = Date.now();
+      console.log(`[${appType}/${target.name}] Idle test #${report.id}: ${states.size} connections idle, checks after ${report.durationsSec.join(', ')}s`);
+
+      for (const durationSec of report.durationsSec) {
+        const due = idleSince + durationSec * 1000;
+        while (Date.now() < due && !report.cancelled) await sleep(Math.min(1000, due - Date.now()));
+        if (report.cancelled) break;
+
+        const checked = report.connections.filter(c => c.durationSec === durationSec && states.has(c.index));
+        await Promise.all(checked.map(async (entry) => {
+          const state = states.get(entry.index);
+          await check(state, entry, options);
+          destroy(state);
+          states.delete(entry.index);
+        }));
+        const alive = checked.filter(c => c.outcome === 'alive').length;
+        console.log(`[${appType}/${target.name}] Idle test #${report.id}: ${alive}/${checked.length} alive after ${durationSec}s idle` +
+          `${alive < checked.length ? ` (${checked.filter(c => c.outcome !== 'alive').map(c => `${c.keepAlive ? 'keepalive' : 'no keepalive'}: ${c.outcome}`).join(', ')})` : ''}`);
+        report.summary = summarize(report);
+      }
+      report.status = report.cancelled ? 'cancelled' : 'completed';
+      console.log(`[${appType}/${target.name}] Idle test #${report.id} ${report.status}`);
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      console.error(`[${appType}/${target.name}] Idle test #${report.id} FAILED: ${error.message}`);
+    } finally {
+      // Unchecked after a cancel: still report the breaks already seen
+      for (const [index, state] of states) {
+        if (state.broken) recordIdleBreak(state, report.connections[index]);
+        destroy(state);
+      }
+      report.summary = summarize(report);
+      report.finishedAt = new Date().toISOString();
+      running = null;
+    }
+  }
+
+  return {
+    isRunning: () => running !== null,
+
+    // Starts an idle test in the background and returns its (live) report
+    start(target, options) {
+      if (running) {
+        throw new Error(`Idle test #${running.id} is already running`);
+      }
+
+      const durationsSec = options.durationsMs.map(ms => ms / 1000);
+      const connections = [];
+      for (const keepAlive of options.keepAlive) {
+        for (const durationSec of durationsSec) {
+          for (let i = 0; i < options.connections; i++) {
+            connections.push({ index: connections.length, keepAlive, durationSec, outcome: null });
+          }
+        }
+      }
+
+      const report = {
+        id: nextId++,
+        target: target.name,
+        label: options.label,
+        status: 'running',
+        durationsSec,
+        keepAlive: options.keepAlive,
+        keepAliveInitialDelaySec: options.keepAliveInitialDelaySec,
+        checkTimeoutSec: options.checkTimeoutSec,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        summary: null,
+        connections,
+        cancelled: false
+      };
+      running = report;
+      reports.push(report);
+      if (reports.length > KEEP_REPORTS) reports.shift();
+
+      execute(target, options, report);
+      return report;
+    },
+
+    // Stop waiting and close the remaining connections unchecked
+    cancel(id) {
+      const report = reports.find(r => r.id === id);
+      if (report && report.status === 'running') report.cancelled = true;
+      return report || null;
+    },
+
+    get: (id) => reports.find(r => r.id === id) || null,
+
+    list: () => reports
+  };
+}
+
+module.exports = { createIdleTester, parseIdleOptions };
@@ -0,0 +1,214 @@
+// Network impairment proxy
+//
+// A local TCP proxy between pg and the database that makes the network worse in
+// controlled ways, so the measurement pipeline and failure handling can be
+// checked against a local Postgres, and questions like "what if the private
+// network added 0.5ms" can be modeled. Settings (all optional, default 0):
+//
+//   latencyMs          fixed delay added to every chunk, in each direction
+//                      (a query round trip gets twice this)
+//   jitterMs           extra random delay per chunk, uniform in [0, jitterMs]
+//   bandwidthKbps      throughput cap per connection and direction (0 = unlimited)
+//   spikeProbability   chance per chunk of an additional spikeMs delay
+//   spikeMs            size of a delay spike
+//   resetProbability   chance per chunk that the connection is reset (TCP RST
+//                      to both sides)
+//
+// Chunks are delivered in order: a delayed chunk holds back the ones behind it,
+// as it would on a real TCP connection. Settings can be changed while the proxy
+// is running and apply to new chunks immediately.
+
+const net = require('net');
+const { performance } = require('perf_hooks');
+
+const SETTINGS = ['latencyMs', 'jitterMs', 'bandwidthKbps', 'spikeProbability', 'spikeMs', 'resetProbability'];
+const MAX_PENDING_BYTES = 1024 * 1024; // pause the sender beyond this much delayed data
+
+function normalizeImpairment(raw, source) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${source}: impairment must be an object`);
+  }
+  const settings = {};
+  for (const key of Object.keys(raw)) {
+    if (!SETTINGS.includes(key)) {
+      throw new Error(`${source}: unknown impairment setting "${key}" (expected ${SETTINGS.join(', ')})`);
+    }
+  }
+  for (const key of SETTINGS) {
+    const value = raw[key] === undefined ? 0 : Number(raw[key]);
+    if (!(value >= 0)) throw new Error(`${source}: impairment "${key}" must be a non-negative number`);
+    if (key.endsWith('Probability') && value > 1) throw new Error(`${source}: impairment "${key}" must be between 0 and 1`);
+    settings[key] = value;
+  }
+  return settings;
+}
+
+// IMPAIRMENT applies to every target without its own "impairment"
+function loadImpairment(raw, env = process.env) {
+  if (raw) return normalizeImpairment(raw, 'impairment');
+  if (!env.IMPAIRMENT) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(env.IMPAIRMENT);
+  } catch (error) {
+    throw new Error(`IMPAIRMENT is not valid JSON: ${error.message}`);
+  }
+  return normalizeImpairment(parsed, 'IMPAIRMENT');
+}
+
+// How late setTimeout fires, as a moving average. Timers have millisecond
+// resolution and fire late, which would swamp sub-millisecond latencies, so
+// at() sets its timers this much early instead of polling (which would keep
+// the CPU busy next to the client being measured).
+let timerLateMs = 1;
+const MAX_TIMER_LATE_MS = 2;
+
+// Run fn at about a performance.now() time: once, from a timer set early by
+// the usual lateness. Closer deadlines than a timer can meet go to whichever
+// is nearer, the next 1ms timer or right after pending I/O, so sub-millisecond
+// delays are only accurate to about half a millisecond.
+function at(time, fn) {
+  const remaining = time - performance.now();
+  const wait = remaining - timerLateMs;
+  if (wait <= 0) {
+    if (remaining > 0.5) setTimeout(fn, 1);
+    else setImmediate(fn);
+    return;
+  }
+  const expected = performance.now() + wait;
+  setTimeout(() => {
+    // Negative when the timer fired early (delays are rounded to whole ms)
+    const late = Math.min(MAX_TIMER_LATE_MS, Math.max(-MAX_TIMER_LATE_MS, performance.now() - expected));
+    timerLateMs += (late - timerLateMs) / 8;
+    fn();
+  }, wait);
+}
+
+// One-line description for logs and segment labels
+const describeImpairment = (s) =>
+  `latency=${s.latencyMs}ms jitter=${s.jitterMs}ms bandwidth=${s.bandwidthKbps ? `${s.bandwidthKbps}kbps` : 'unlimited'} spikes=${s.spikeProbability}x${s.spikeMs}ms resets=${s.resetProbability}`;
+
+function createImpairmentProxy({ name, upstreamHost, upstreamPort, settings }) {
+  let current = { ...settings };
+  let server = null;
+  const sockets = new Set();
+  const stats = { connections: 0, activeConnections: 0, bytes: 0, spikes: 0, resets: 0 };
+
+  // One direction of a connection: delays, throttles and forwards chunks in order.
+  // Chunks wait in a FIFO drained by a single timer, so two chunks that fall
+  // due together can never overtake each other.
+  function channel(from, to, reset) {
+    const queue = []; // { time, chunk } or { time, end: true }
+    let deliverAt = 0; // when the previous chunk leaves
+    let pending = 0;
+    let waiting = false;
+
+    // Delivers everything due by `due` (at() may fire a little early)
+    const drain = (due = performance.now()) => {
+      waiting = false;
+      const until = Math.max(due, performance.now());
+      while (queue.length > 0 && queue[0].time <= until) {
+        const item = queue.shift();
+        if (item.end) {
+          to.end();
+          continue;
+        }
+        pending -= item.chunk.length;
+        stats.bytes += item.chunk.length;
+        if (!to.destroyed) to.write(item.chunk);
+      }
+      if (pending <= MAX_PENDING_BYTES && from.isPaused()) from.resume();
+      if (queue.length > 0) {
+        waiting = true;
+        const time = queue[0].time;
+        at(time, () => drain(time));
+      }
+    };
+
+    const enqueue = (item) => {
+      queue.push(item);
+      if (!waiting) drain();
+    };
+
+    from.on('data', (chunk) => {
+      if (current.resetProbability > 0 && Math.random() < current.resetProbability) {
+        stats.resets++;
+        reset();
+        return;
+      }
+
+      let delay = current.latencyMs + Math.random() * current.jitterMs;
+      if (current.spikeProbability > 0 && Math.random() < current.spikeProbability) {
+        stats.spikes++;
+        delay += current.spikeMs;
+      }
+      const transmitMs = current.bandwidthKbps > 0 ? chunk.length * 8 / current.bandwidthKbps : 0;
+      deliverAt = Math.max(deliverAt, performance.now() + delay) + transmitMs;
+
+      pending += chunk.length;
+      if (pending > MAX_PENDING_BYTES) from.pause();
+      enqueue({ time: deliverAt, chunk });
+    });
+
+    // Close the other side only after the delayed data has gone out
+    from.on('end', () => enqueue({ time: deliverAt, end: true }));
+  }
+
+  function handle(client) {
+    const upstream = net.createConnection({ host: upstreamHost, port: upstreamPort });
+    stats.connections++;
+    stats.activeConnections++;
+    sockets.add(client);
+    sockets.add(upstream);
+
+    const reset = () => {
+      client.resetAndDestroy();
+      upstream.resetAndDestroy();
+    };
+    let closed = 0;
+    const onClose = (socket) => () => {
+      sockets.delete(socket);
+      if (++closed === 2) stats.activeConnections--;
+    };
+
+    client.on('error', () => upstream.destroy());
+    upstream.on('error', () => client.destroy());
+    client.on('close', onClose(client));
+    upstream.on('close', onClose(upstream));
+
+    channel(client, upstream, reset);
+    channel(upstream, client, reset);
+  }
+
+  return {
+    name,
+
+    // Listen on an ephemeral loopback port; resolves to that port
+    start() {
+      return new Promise((resolve, reject) => {
+        server = net.createServer(handle);
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+
+    port: () => (server ? server.address().port : null),
+
+    stop() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    settings: () => ({ ...current }),
+
+    // Merge new settings into the current ones
+    update(raw) {
+      current = normalizeImpairment({ ...current, ...raw }, `impairment for ${name}`);
+      return { ...current };
+    },
+
+    stats: () => ({ ...stats })
+  };
+}
+
+module.exports = { SETTINGS, loadImpairment, normalizeImpairment, describeImpairment, createImpairmentProxy };
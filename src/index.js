@@ -1,295 +1,568 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
-const { Client, Pool } = require('pg');
+const { loadTargets } = require('./targets');
+const { createResultsStore } = require('./results-store');
+const { createPrometheusMetrics } = require('./prometheus');
+const { createHistogramSet } = require('./histogram');
+const { NOISE_FIELDS, createAggregates } = require('./aggregates');
+const { parseTimeWindow, matchesHours, applyHours, describeWindow } = require('./time-window');
+const { createLoadTester, parseLoadOptions } = require('./load-test');
+const { createIdleTester, parseIdleOptions } = require('./idle-test');
+const { createPoolerChecker } = require('./pooler-check');
+const { createScheduler } = require('./scheduler');
+const { describeConfig, segmentId, listSegments } = require('./segments');
+const { loadExperiment, experimentFields, listExperiments, experimentTable } = require('./experiments');
+const { PHASES } = require('./connection-phases');
+const { compareResults } = require('./compare');
+const { summarizeReliability } = require('./failures');
+const { loadProbes, createProber } = require('./probes');
+const { createTlsConfig } = require('./tls');
+const { normalizeImpairment, describeImpairment } = require('./impairment');
+const { describeCopy } = require('./copy-throughput');
+const { createMeasurer } = require('./measure');
+const { driverName, driverFor } = require('./drivers');
+const { FORMATS, parseExportFilter, matchesExportFilter, exportLines } = require('./export');
+const { createSweepRunner, parseSweepOptions, sweepTable } = require('./sweep');
+const { loadAlertRules, createAlerter } = require('./alerts');
 
 const app = express();
+// JSON bodies are small everywhere except POST /compare, which parses its own
+// (up to 50mb) once the control token has been checked
+const jsonBody = express.json();
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/compare' ? next() : jsonBody(req, res, next)));
 const PORT = process.env.PORT || 3000;
-const DATABASE_URL = process.env.DATABASE_URL;
 const APP_TYPE = process.env.APP_TYPE || 'UNKNOWN';
-const BENCHMARK_INTERVAL = 45 * 1000; // 45 seconds
+const BENCHMARK_INTERVAL = parseFloat(process.env.BENCHMARK_INTERVAL_SEC || '45') * 1000; // 45 seconds by default
+const BENCHMARK_ARRIVAL = process.env.BENCHMARK_ARRIVAL || 'fixed'; // fixed or poisson
+const MAX_RESULTS_PER_TARGET = 400; // more than 4 hours at 45s intervals
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN; // bearer token for the control API
+// Peer apps GET /compare may fetch without the control token (comma-separated base URLs)
+const COMPARE_PEERS = (process.env.COMPARE_PEERS || '').split(',').filter(url => url.trim()).map(url => new URL(url.trim()).origin);
+const MAX_COMPARE_ITERATIONS = 10000;
+// POST /compare runs on whatever the caller sends; the bootstrap is synchronous
+// and blocks the event loop (and with it the measurements) while it runs
+const MAX_POSTED_COMPARE_ITERATIONS = 2000;
+const MAX_POSTED_COMPARE_SAMPLES = 10000; // per side
+const PROBE_INTERVAL = parseFloat(process.env.PROBE_INTERVAL_SEC || '0') * 1000; // 0 = probes only run on request
+const ALERT_INTERVAL = parseFloat(process.env.ALERT_INTERVAL_SEC || '60') * 1000; // how often alert rules are evaluated
+const EXCLUDE_NOISY = process.env.EXCLUDE_NOISY === 'true'; // leave noisy measurements out of latency stats by default
+const LISTING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // default window of /segments and /experiments
+
+// Named database targets measured in every cycle (see src/targets.js)
+const targets = loadTargets();
+
+// The experiment every measurement is tagged with (see src/experiments.js)
+const experiment = loadExperiment({ appType: APP_TYPE });
+
+// sslmode and CA handling for every connection string (see src/tls.js)
+const tlsConfig = createTlsConfig();
+const sslSettings = (url) => driverFor(url).tls(tlsConfig, url);
+
+// Connection settings, impairment proxies and the client/pool measurements
+// themselves (see src/measure.js)
+const {
+  getDbConfig,
+  createPool,
+  attachProxy,
+  startProxy,
+  initializePool,
+  measureLatency
+} = createMeasurer({ appType: APP_TYPE, tlsConfig });
+
+// Reject an unsupported sslmode at startup rather than on the first measurement
+for (const target of targets) sslSettings(target.url);
+
+const findTarget = (name) => targets.find(t => t.name === name);
+
+// Targets with an impairment connect through a local proxy (see src/impairment.js)
+for (const target of targets) {
+  if (target.impairment) attachProxy(target);
+}
 
-// Pool configuration
-const USE_POOL = process.env.USE_POOL === 'true';
-const POOL_SIZE = parseInt(process.env.POOL_SIZE || '10', 10);
+// Benchmark results live in a pluggable store (see src/results-store.js)
+const store = createResultsStore({
+  maxResultsPerTarget: MAX_RESULTS_PER_TARGET,
+  dbConfig: (url) => getDbConfig({ url, poolSize: 2 })
+});
+const startTime = new Date();
 
-// Parse the URL and configure SSL
-const getDbConfig = () => {
-  const dbUrl = DATABASE_URL.replace(/[?&]sslmode=[^&]*/g, '');
-  return {
-    connectionString: dbUrl,
-    ssl: { rejectUnauthorized: false },
-    max: POOL_SIZE,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 10000
-  };
-};
+// Per-minute histograms of the stored results, merged for stats windows (see
+// src/aggregates.js)
+const aggregates = createAggregates();
+
+// Live histograms/counters for Prometheus scraping (see src/prometheus.js)
+const prometheus = createPrometheusMetrics({ appType: APP_TYPE, targets });
+
+// On-demand concurrent load tests (see src/load-test.js)
+const loadTester = createLoadTester({ appType: APP_TYPE, createPool });
+
+// Idle connection survival tests (see src/idle-test.js). They hold their own
+// connections, so they can run next to everything else.
+const idleTester = createIdleTester({ appType: APP_TYPE, getDbConfig });
+
+// PgBouncer transaction mode compatibility checks (see src/pooler-check.js)
+const poolerChecker = createPoolerChecker({ appType: APP_TYPE, getDbConfig });
+
+// Configuration sweeps (see src/sweep.js): each setting is applied like a mode
+// switch and measured into its own segment
+const sweeper = createSweepRunner({
+  appType: APP_TYPE,
+  loadTester,
+  configure: async (target, setting, label) => {
+    await scheduler.exclusive(async () => {
+      target.mode = setting.mode;
+      target.poolSize = setting.poolSize;
+      target.url = setting.url;
+      await initializePool(target);
+    });
+    return enterSegment(label).id;
+  },
+  measure: async (target, fields, { record }) => {
+    const result = {
+      ...await measureLatency(target),
+      ...fields,
+      segment: currentSegment.id,
+      segmentLabel: currentSegment.label,
+      ...experimentFields(experiment, target)
+    };
+    if (record) await recordResult(target, result);
+    return result;
+  }
+});
 
-// Global pool instance (created once at startup if USE_POOL is true)
-let pool = null;
+// Outbound connectivity probes (see src/probes.js), optionally on their own schedule
+const prober = createProber({ appType: APP_TYPE, probes: loadProbes({ targets }) });
+const probeScheduler = PROBE_INTERVAL > 0
+  ? createScheduler({ intervalMs: PROBE_INTERVAL, run: () => prober.run({ trigger: 'scheduled' }) })
+  : null;
+
+// Threshold alerts on the stats of every target (see src/alerts.js). Rules look
+// at all segments, so a configuration change doesn't reset them.
+const alerter = createAlerter({
+  appType: APP_TYPE,
+  rules: loadAlertRules({ targets }),
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  format: process.env.ALERT_WEBHOOK_FORMAT || 'json',
+  statsFor: async (target, windowMs) => {
+    const { byTarget } = await loadResults([target], undefined, { since: Date.now() - windowMs, until: null, hours: null });
+    return calculateStats(target, byTarget.get(target.name), { excludeNoisy: EXCLUDE_NOISY });
+  }
+});
+const alertScheduler = alerter.rules.length > 0
+  ? createScheduler({ intervalMs: ALERT_INTERVAL, run: () => alerter.check(targets) })
+  : null;
+
+// Open-loop scheduler for benchmark cycles (see src/scheduler.js)
+const scheduler = createScheduler({
+  intervalMs: BENCHMARK_INTERVAL,
+  arrival: BENCHMARK_ARRIVAL,
+  run: (tick) => runBenchmark(tick)
+});
 
-// Store benchmark results in memory
-const results = [];
-const startTime = new Date();
+// Current configuration segment (see src/segments.js). Measurements are tagged
+// with it, and stats default to it.
+let currentSegment = null;
+
+function enterSegment(label) {
+  const { intervalMs, arrival } = scheduler.timing();
+  const id = segmentId({ targets, intervalMs, arrival });
+  if (currentSegment && currentSegment.id === id) return currentSegment;
 
-// Calculate percentile
-function percentile(arr, p) {
-  if (arr.length === 0) return 0;
-  const sorted = [...arr].sort((a, b) => a - b);
-  const index = Math.ceil((p / 100) * sorted.length) - 1;
-  return sorted[Math.max(0, index)];
+  currentSegment = {
+    id,
+    label,
+    startedAt: new Date().toISOString(),
+    config: describeConfig({ targets, intervalMs, arrival })
+  };
+  console.log(`[${APP_TYPE}] Segment ${id}: ${label}`);
+  return currentSegment;
 }
 
-// Calculate statistics
-function calculateStats() {
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
+enterSegment(process.env.SEGMENT_LABEL || 'initial configuration');
 
-  if (successful.length === 0) {
-    return {
-      appType: APP_TYPE,
-      totalMeasurements: results.length,
-      successfulMeasurements: 0,
-      failedMeasurements: failed.length,
-      failureRate: results.length > 0 ? (failed.length / results.length * 100).toFixed(2) + '%' : '0%',
-      latency: null,
-      uptime: getUptime(),
-      startTime: startTime.toISOString()
-    };
+// Summary of one histogram of a set, formatted for the stats (null when empty)
+function formatHistogram(histograms, name) {
+  const histogram = histograms.get(name);
+  const summary = histogram && histogram.summary();
+  if (!summary) return null;
+  return {
+    min: summary.min.toFixed(2),
+    max: summary.max.toFixed(2),
+    avg: summary.avg.toFixed(2),
+    p50: summary.p50.toFixed(2),
+    p95: summary.p95.toFixed(2),
+    p99: summary.p99.toFixed(2)
+  };
+}
+
+// The latency section of the stats, formatted from a histogram set
+function formatLatencyStats(histograms) {
+  const stats = (name) => formatHistogram(histograms, name);
+
+  const steps = {};
+  for (const [name] of histograms.entries()) {
+    if (name.startsWith('step:')) steps[name.slice(5)] = stats(name);
   }
 
-  const connectLatencies = successful.map(r => r.connectLatencyMs).filter(v => v !== undefined);
-  const poolAcquireLatencies = successful.map(r => r.poolAcquireMs).filter(v => v !== undefined);
-  const pingLatencies = successful.map(r => r.pingLatencyMs).filter(v => v !== undefined);
-  const longQueryLatencies = successful.map(r => r.longQueryLatencyMs).filter(v => v !== undefined);
-  const avgRoundTrips = successful.map(r => r.avgRoundTripMs).filter(v => v !== undefined);
-  const queryLatencies = successful.map(r => r.queryLatencyMs);
-  const totalLatencies = successful.map(r => r.totalLatencyMs);
-  const mode = successful.length > 0 ? successful[0].mode : 'unknown';
-
-  const calcStats = (arr) => ({
-    min: Math.min(...arr).toFixed(2),
-    max: Math.max(...arr).toFixed(2),
-    avg: (arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(2),
-    p50: percentile(arr, 50).toFixed(2),
-    p95: percentile(arr, 95).toFixed(2),
-    p99: percentile(arr, 99).toFixed(2)
-  });
+  return {
+    connect: stats('connect'),
+    connectPhases: Object.fromEntries(PHASES.map(phase => [phase, stats(`phase:${phase}`)])),
+    poolAcquire: stats('poolAcquire'),
+    ping: stats('ping'),
+    longQuery: stats('longQuery'),
+    avgRoundTrip: stats('avgRoundTrip'),
+    query: stats('query'),
+    total: stats('total'),
+    correctedTotal: stats('correctedTotal'),
+    copyOut: stats('copyOut'),
+    copyIn: stats('copyIn'),
+    scheduleDelay: stats('scheduleDelay'),
+    steps
+  };
+}
 
+// The COPY throughput section of the stats (null for targets without COPY):
+// MB/s and rows/s per direction, alongside the copyOut/copyIn durations in latency
+function formatCopyStats(histograms) {
+  const direction = (name) => {
+    const mbPerSec = formatHistogram(histograms, `copy:${name}:mbPerSec`);
+    return mbPerSec && { mbPerSec, rowsPerSec: formatHistogram(histograms, `copy:${name}:rowsPerSec`) };
+  };
+  const out = direction('out');
+  const into = direction('in');
+  return out || into ? { out, in: into } : null;
+}
+
+const failureRate = (failed, total) => (total > 0 ? (failed / total * 100).toFixed(2) + '%' : '0%');
+
+// The noise section of the stats: how many measurements were flagged and why,
+// and the distribution of each noise field
+function noiseStats(targetResults, histograms, excludeNoisy) {
+  const reasons = {};
+  let noisy = 0;
+  for (const r of targetResults) {
+    if (!r.noisy) continue;
+    noisy++;
+    for (const reason of r.noiseReasons || []) reasons[reason] = (reasons[reason] || 0) + 1;
+  }
   return {
+    noisyMeasurements: noisy,
+    noisyRate: failureRate(noisy, targetResults.length),
+    excludedFromLatency: excludeNoisy,
+    reasons,
+    ...Object.fromEntries(NOISE_FIELDS.map(([name]) => [name, formatHistogram(histograms, `noise:${name}`)]))
+  };
+}
+
+// Calculate statistics for a single target from its stored results. Latency
+// percentiles come from the per-minute aggregates merged together (see
+// src/aggregates.js); with bucketMs the
+// per-interval aggregates are returned as well. With excludeNoisy, measurements
+// flagged noisy (see src/noise.js) are left out of the latency figures but
+// still counted everywhere else.
+function calculateStats(target, targetResults, { bucketMs = null, excludeNoisy = false } = {}) {
+  const successful = targetResults.filter(r => r.success);
+  const failed = targetResults.length - successful.length;
+  const reliability = reliabilityStats(targetResults);
+
+  const buckets = aggregates.aggregate(targetResults, { bucketMs, excludeNoisy });
+  const overall = createHistogramSet();
+  for (const bucket of buckets) overall.merge(bucket.histograms);
+
+  const stats = {
     appType: APP_TYPE,
-    connectionMode: mode,
-    usePool: USE_POOL,
-    poolSize: USE_POOL ? POOL_SIZE : null,
-    totalMeasurements: results.length,
+    target: target.name,
+    driver: target.driver,
+    connectionMode: target.mode,
+    usePool: target.mode === 'pool',
+    poolSize: target.mode === 'pool' ? target.poolSize : null,
+    tls: tlsStats(target, successful),
+    totalMeasurements: targetResults.length,
     successfulMeasurements: successful.length,
-    failedMeasurements: failed.length,
-    failureRate: (failed.length / results.length * 100).toFixed(2) + '%',
-    latency: {
-      connect: connectLatencies.length > 0 ? calcStats(connectLatencies) : null,
-      poolAcquire: poolAcquireLatencies.length > 0 ? calcStats(poolAcquireLatencies) : null,
-      ping: pingLatencies.length > 0 ? calcStats(pingLatencies) : null,
-      longQuery: longQueryLatencies.length > 0 ? calcStats(longQueryLatencies) : null,
-      avgRoundTrip: avgRoundTrips.length > 0 ? calcStats(avgRoundTrips) : null,
-      query: calcStats(queryLatencies),
-      total: calcStats(totalLatencies)
-    },
+    failedMeasurements: failed,
+    failureRate: failureRate(failed, targetResults.length),
+    failuresByCategory: reliability.failuresByCategory,
+    reliability: reliability.summary,
+    latency: buckets.some(b => b.inLatency > 0) ? formatLatencyStats(overall) : null,
+    copy: formatCopyStats(overall),
+    noise: noiseStats(targetResults, overall, excludeNoisy),
     uptime: getUptime(),
     startTime: startTime.toISOString()
   };
+
+  if (bucketMs) {
+    stats.buckets = buckets.map(b => ({
+      start: new Date(b.start).toISOString(),
+      end: new Date(b.start + bucketMs).toISOString(),
+      measurements: b.measurements,
+      successful: b.successful,
+      failed: b.measurements - b.successful,
+      failureRate: failureRate(b.measurements - b.successful, b.measurements),
+      noisy: b.noisy,
+      latency: b.inLatency > 0 ? formatLatencyStats(b.histograms) : null,
+      copy: b.inLatency > 0 ? formatCopyStats(b.histograms) : null
+    }));
+  }
+  return stats;
+}
+
+// Configured sslmode plus the protocol and cipher negotiated by the latest
+// successful measurement (recorded targets without a URL report the sslmode
+// that measurement used)
+function tlsStats(target, successful) {
+  const last = successful[successful.length - 1];
+  return {
+    mode: target.url ? sslSettings(target.url).sslMode : (last && last.sslMode) || null,
+    protocol: last && last.tlsProtocol !== undefined ? last.tlsProtocol : null,
+    cipher: last && last.tlsCipher !== undefined ? last.tlsCipher : null
+  };
+}
+
+// Outage-based reliability for /metrics, formatted like the rest of the stats
+// (the raw numbers and outage windows are in /metrics/reliability)
+function reliabilityStats(targetResults) {
+  const r = summarizeReliability(targetResults);
+  const duration = (ms) => (ms === null ? null : formatDuration(ms));
+  return {
+    failuresByCategory: r.failuresByCategory,
+    summary: {
+      availability: r.availability === null ? null : r.availability.toFixed(3) + '%',
+      outages: r.outageCount,
+      ongoingOutage: r.ongoingOutage,
+      downtime: duration(r.downtimeMs),
+      mttr: duration(r.mttrMs),
+      mtbf: duration(r.mtbfMs)
+    }
+  };
 }
 
 function getUptime() {
-  const now = new Date();
-  const diff = now - startTime;
+  return formatDuration(new Date() - startTime);
+}
+
+function formatDuration(diff) {
   const hours = Math.floor(diff / (1000 * 60 * 60));
   const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
   const seconds = Math.floor((diff % (1000 * 60)) / 1000);
   return `${hours}h ${minutes}m ${seconds}s`;
 }
 
-// Measure latency using pg.Client (creates new connection each time)
-async function measureLatencyWithClient() {
-  const start = process.hrtime.bigint();
+// Attach the scheduler's timeline to a measurement. The schedule delay is how
+// late the whole cycle started compared to its intended start; targets later in
+// the cycle start later by design, so their own position isn't counted as delay.
+// Adding the delay back gives latency as seen from the intended start, which
+// keeps a stalled cycle from hiding the queueing it caused (coordinated omission).
+function withSchedule(result, tick, actualStart) {
+  const timed = {
+    ...result,
+    cycle: tick.sequence,
+    intendedStart: new Date(tick.intendedStart).toISOString(),
+    actualStart: new Date(actualStart).toISOString(),
+    scheduleDelayMs: tick.delayMs
+  };
+  if (tick.manual) timed.manual = true;
+  if (result.success) {
+    timed.correctedTotalLatencyMs = result.totalLatencyMs + tick.delayMs;
+  }
+  return timed;
+}
 
+// Publish a measurement to Prometheus and the results store
+async function recordResult(target, result) {
+  prometheus.observe(result);
   try {
-    const client = new Client(getDbConfig());
-
-    await client.connect();
-    const connectTime = process.hrtime.bigint();
-
-    // Run a simple ping query
-    await client.query('SELECT 1');
-    const pingTime = process.hrtime.bigint();
-
-    // Run a longer query that generates and returns data
-    const longQuery = `
-      SELECT
-        gs.id,
-        md5(random()::text) as hash1,
-        md5(random()::text) as hash2,
-        md5(random()::text) as hash3,
-        now() as timestamp
-      FROM generate_series(1, 1000) as gs(id)
-    `;
-    const queryResult = await client.query(longQuery);
-    const longQueryTime = process.hrtime.bigint();
-
-    // Run multiple round trips to measure sustained latency
-    for (let i = 0; i < 10; i++) {
-      await client.query('SELECT $1::int', [i]);
-    }
-    const multiRoundTripTime = process.hrtime.bigint();
-
-    await client.end();
-
-    const measurement = {
-      timestamp: new Date().toISOString(),
-      mode: 'client',
-      connectLatencyMs: Number(connectTime - start) / 1e6,
-      pingLatencyMs: Number(pingTime - connectTime) / 1e6,
-      longQueryLatencyMs: Number(longQueryTime - pingTime) / 1e6,
-      longQueryRows: queryResult.rowCount,
-      multiRoundTripLatencyMs: Number(multiRoundTripTime - longQueryTime) / 1e6,
-      avgRoundTripMs: Number(multiRoundTripTime - longQueryTime) / 1e6 / 10,
-      queryLatencyMs: Number(multiRoundTripTime - connectTime) / 1e6,
-      totalLatencyMs: Number(multiRoundTripTime - start) / 1e6,
-      success: true
-    };
-
-    console.log(`[${APP_TYPE}] Client mode: connect=${measurement.connectLatencyMs.toFixed(2)}ms, ping=${measurement.pingLatencyMs.toFixed(2)}ms, longQuery=${measurement.longQueryLatencyMs.toFixed(2)}ms (${measurement.longQueryRows} rows), 10x roundtrip=${measurement.multiRoundTripLatencyMs.toFixed(2)}ms (avg ${measurement.avgRoundTripMs.toFixed(2)}ms), total=${measurement.totalLatencyMs.toFixed(2)}ms`);
-
-    return measurement;
+    await store.append(result);
+    aggregates.add(result);
   } catch (error) {
-    console.error(`[${APP_TYPE}] Client mode FAILED: ${error.message}`);
-    return {
-      timestamp: new Date().toISOString(),
-      mode: 'client',
-      error: error.message,
-      success: false
-    };
+    console.error(`[${APP_TYPE}/${target.name}] Failed to store result: ${error.message}`);
   }
 }
 
-// Measure latency using pg.Pool (reuses persistent connections)
-async function measureLatencyWithPool() {
-  const start = process.hrtime.bigint();
+// Run benchmark: measure every target in turn so they share the same conditions
+async function runBenchmark(tick) {
+  // A load test saturates the pools; sequential samples taken now would measure the load test
+  if (loadTester.isRunning()) {
+    console.log(`[${APP_TYPE}] Skipping benchmark cycle while a load test is running`);
+    return;
+  }
+  // A sweep takes its own samples and keeps reconfiguring a target
+  if (sweeper.isRunning()) {
+    console.log(`[${APP_TYPE}] Skipping benchmark cycle while a sweep is running`);
+    return;
+  }
 
-  try {
-    // Get a client from the pool (this is the key metric for pooled connections)
-    const client = await pool.connect();
-    const acquireTime = process.hrtime.bigint();
-
-    // Run a simple ping query
-    await client.query('SELECT 1');
-    const pingTime = process.hrtime.bigint();
-
-    // Run a longer query that generates and returns data
-    const longQuery = `
-      SELECT
-        gs.id,
-        md5(random()::text) as hash1,
-        md5(random()::text) as hash2,
-        md5(random()::text) as hash3,
-        now() as timestamp
-      FROM generate_series(1, 1000) as gs(id)
-    `;
-    const queryResult = await client.query(longQuery);
-    const longQueryTime = process.hrtime.bigint();
-
-    // Run multiple round trips to measure sustained latency
-    for (let i = 0; i < 10; i++) {
-      await client.query('SELECT $1::int', [i]);
-    }
-    const multiRoundTripTime = process.hrtime.bigint();
-
-    // Release client back to pool (NOT disconnect)
-    client.release();
-
-    const measurement = {
-      timestamp: new Date().toISOString(),
-      mode: 'pool',
-      poolAcquireMs: Number(acquireTime - start) / 1e6,  // Time to get connection from pool
-      pingLatencyMs: Number(pingTime - acquireTime) / 1e6,
-      longQueryLatencyMs: Number(longQueryTime - pingTime) / 1e6,
-      longQueryRows: queryResult.rowCount,
-      multiRoundTripLatencyMs: Number(multiRoundTripTime - longQueryTime) / 1e6,
-      avgRoundTripMs: Number(multiRoundTripTime - longQueryTime) / 1e6 / 10,
-      queryLatencyMs: Number(multiRoundTripTime - acquireTime) / 1e6,  // Total query time (excludes acquire)
-      totalLatencyMs: Number(multiRoundTripTime - start) / 1e6,
-      poolStats: {
-        total: pool.totalCount,
-        idle: pool.idleCount,
-        waiting: pool.waitingCount
-      },
-      success: true
+  for (const target of targets) {
+    const actualStart = Date.now();
+    const result = {
+      ...withSchedule(await measureLatency(target), tick, actualStart),
+      segment: currentSegment.id,
+      segmentLabel: currentSegment.label,
+      ...experimentFields(experiment, target)
     };
+    await recordResult(target, result);
+  }
+}
 
-    console.log(`[${APP_TYPE}] Pool mode: acquire=${measurement.poolAcquireMs.toFixed(2)}ms, ping=${measurement.pingLatencyMs.toFixed(2)}ms, longQuery=${measurement.longQueryLatencyMs.toFixed(2)}ms (${measurement.longQueryRows} rows), 10x roundtrip=${measurement.multiRoundTripLatencyMs.toFixed(2)}ms (avg ${measurement.avgRoundTripMs.toFixed(2)}ms), total=${measurement.totalLatencyMs.toFixed(2)}ms [pool: ${pool.totalCount}/${POOL_SIZE}]`);
+// Resolve the optional ?target= query parameter. Returns the list of targets to
+// report on, or null (after sending a 404) when the named target does not exist.
+function selectTargets(req, res) {
+  if (!req.query.target) return targets;
+  const target = findTarget(req.query.target);
+  if (!target) {
+    res.status(404).json({ error: `Unknown target: ${req.query.target}`, targets: targets.map(t => t.name) });
+    return null;
+  }
+  return [target];
+}
 
-    return measurement;
+// Resolve the optional ?segment= query parameter: a segment id, "all", or (by
+// default) the current segment
+const selectSegment = (req) => {
+  if (req.query.segment === 'all') return undefined;
+  return req.query.segment || currentSegment.id;
+};
+
+// Resolve the optional since/until/window/bucket/hours query parameters (see
+// src/time-window.js). Returns the parsed window, or null (after sending a 400)
+// when they are invalid.
+function selectWindow(req, res) {
+  try {
+    return parseTimeWindow(req.query);
   } catch (error) {
-    console.error(`[${APP_TYPE}] Pool mode FAILED: ${error.message}`);
-    return {
-      timestamp: new Date().toISOString(),
-      mode: 'pool',
-      error: error.message,
-      success: false
-    };
+    res.status(400).json({ error: error.message });
+    return null;
   }
 }
 
-// Main measurement function (chooses mode based on USE_POOL)
-async function measureLatency() {
-  if (USE_POOL) {
-    return measureLatencyWithPool();
-  } else {
-    return measureLatencyWithClient();
+// Resolve ?noisy=include|exclude (default EXCLUDE_NOISY): whether latency stats
+// leave out measurements flagged noisy. Returns null (after sending a 400) for
+// any other value.
+function selectExcludeNoisy(req, res) {
+  const { noisy } = req.query;
+  if (noisy === undefined) return EXCLUDE_NOISY;
+  if (noisy !== 'include' && noisy !== 'exclude') {
+    res.status(400).json({ error: `Invalid noisy "${noisy}" (expected include or exclude)` });
+    return null;
   }
+  return noisy === 'exclude';
 }
 
-// Run benchmark
-async function runBenchmark() {
-  const result = await measureLatency();
-  results.push(result);
-
-  // Keep only last 400 results (more than 4 hours at 45s intervals)
-  if (results.length > 400) {
-    results.shift();
+// Load stored results for the given targets, grouped by target name, optionally
+// restricted to a time window
+async function loadResults(selected, segment, window = null) {
+  const names = selected.map(t => t.name);
+  let stored = await store.list({
+    targets: names,
+    segment,
+    since: window && window.since !== null ? window.since : undefined,
+    until: window && window.until !== null ? window.until : undefined
+  });
+  if (window) stored = applyHours(stored, window);
+  const byTarget = new Map(names.map(name => [name, []]));
+  for (const result of stored) {
+    byTarget.get(result.target).push(result);
   }
+  return { all: stored, byTarget };
 }
 
+// Wrap async route handlers so store errors become a 500 instead of an
+// unhandled rejection
+const asyncRoute = (handler) => (req, res) => {
+  handler(req, res).catch((error) => {
+    console.error(`[${APP_TYPE}] ${req.method} ${req.path} failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  });
+};
+
 // Routes
-app.get('/health', (req, res) => {
+
+// Self-contained HTML dashboard (no external assets; see src/dashboard.html)
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dashboard.html'));
+});
+
+app.get('/health', asyncRoute(async (req, res) => {
   res.json({
     status: 'healthy',
     appType: APP_TYPE,
     uptime: getUptime(),
-    measurements: results.length
+    targets: targets.map(t => t.name),
+    segment: currentSegment.id,
+    experiment: experiment.id,
+    scheduler: scheduler.status(),
+    resultsStore: store.name,
+    measurements: await store.count()
   });
-});
+}));
+
+app.get('/metrics', asyncRoute(async (req, res) => {
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  const excludeNoisy = selectExcludeNoisy(req, res);
+  if (excludeNoisy === null) return;
+  const segment = selectSegment(req);
+  const { byTarget } = await loadResults(selected, segment, window);
+
+  const statsFor = (target) => {
+    const targetResults = byTarget.get(target.name);
+    return {
+      ...calculateStats(target, targetResults, { bucketMs: window.bucketMs, excludeNoisy }),
+      segment: segment || 'all',
+      window: describeWindow(window),
+      lastMeasurement: targetResults.length > 0 ? targetResults[targetResults.length - 1] : null
+    };
+  };
 
-app.get('/metrics', (req, res) => {
-  const stats = calculateStats();
-  const lastResult = results.length > 0 ? results[results.length - 1] : null;
+  if (req.query.target) {
+    return res.json(statsFor(selected[0]));
+  }
+
+  const perTarget = {};
+  for (const target of selected) {
+    perTarget[target.name] = statsFor(target);
+  }
   res.json({
-    ...stats,
-    lastMeasurement: lastResult
+    appType: APP_TYPE,
+    uptime: getUptime(),
+    startTime: startTime.toISOString(),
+    segment: segment || 'all',
+    window: describeWindow(window),
+    targets: perTarget
   });
-});
-
-app.get('/metrics/summary', (req, res) => {
-  const stats = calculateStats();
+}));
+
+// Prometheus text exposition for scraping (histograms, counters, pool gauges)
+app.get('/metrics/prometheus', asyncRoute(async (req, res) => {
+  res.type(prometheus.contentType).send(await prometheus.render());
+}));
+
+app.get('/metrics/summary', asyncRoute(async (req, res) => {
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  const excludeNoisy = selectExcludeNoisy(req, res);
+  if (excludeNoisy === null) return;
+  const segment = selectSegment(req);
+  const { byTarget } = await loadResults(selected, segment, window);
 
   // Format as text for easy reading
   let text = `=== ${APP_TYPE} App Benchmark Summary ===\n\n`;
-  text += `Connection Mode: ${stats.connectionMode || 'unknown'}\n`;
-  text += `Use Pool: ${stats.usePool}\n`;
-  if (stats.poolSize) text += `Pool Size: ${stats.poolSize}\n`;
-  text += `Start Time: ${stats.startTime}\n`;
-  text += `Uptime: ${stats.uptime}\n`;
-  text += `Total Measurements: ${stats.totalMeasurements}\n`;
-  text += `Successful: ${stats.successfulMeasurements}\n`;
-  text += `Failed: ${stats.failedMeasurements}\n`;
-  text += `Failure Rate: ${stats.failureRate}\n\n`;
+  text += `Start Time: ${startTime.toISOString()}\n`;
+  text += `Uptime: ${getUptime()}\n`;
+  const { intervalMs, arrival } = scheduler.timing();
+  text += `Schedule: ${arrival}, every ${intervalMs / 1000}s${arrival === 'poisson' ? ' on average' : ''}${scheduler.status().running ? '' : ' (paused)'}\n`;
+  text += `Results Store: ${store.name}\n`;
+  text += `Experiment: ${experiment.id}\n`;
+  text += `Segment: ${segment ? `${segment}${segment === currentSegment.id ? ` (current: ${currentSegment.label})` : ''}` : 'all'}\n`;
+  const { since, until, bucketSec, hoursUtc } = describeWindow(window);
+  if (since || until || hoursUtc) {
+    text += `Window: ${since || 'start'} to ${until || 'now'}${hoursUtc ? `, ${hoursUtc}h UTC only` : ''}\n`;
+  }
+  text += `Targets: ${selected.map(t => t.name).join(', ')}\n\n`;
 
   const formatLatency = (name, data) => {
     if (!data) return '';
@@ -302,338 +575,886 @@ app.get('/metrics/summary', (req, res) => {
       `  P99: ${data.p99} ms\n\n`;
   };
 
-  if (stats.latency) {
-    text += formatLatency('Connect Latency (Client mode only)', stats.latency.connect);
-    text += formatLatency('Pool Acquire (Pool mode only)', stats.latency.poolAcquire);
-    text += formatLatency('Ping (SELECT 1)', stats.latency.ping);
-    text += formatLatency('Long Query (1000 rows)', stats.latency.longQuery);
-    text += formatLatency('Avg Round Trip (10x queries)', stats.latency.avgRoundTrip);
-    text += formatLatency('Total Query Time', stats.latency.query);
-    text += formatLatency('Total (Connect/Acquire + All Queries)', stats.latency.total);
-  } else {
-    text += `No successful measurements yet.\n`;
+  for (const target of selected) {
+    const stats = calculateStats(target, byTarget.get(target.name), { bucketMs: window.bucketMs, excludeNoisy });
+
+    text += `##### Target: ${target.name} #####\n\n`;
+    text += `Driver: ${stats.driver}\n`;
+    text += `Connection Mode: ${stats.connectionMode}\n`;
+    text += `Workload: ${target.workload.name}\n`;
+    text += `Use Pool: ${stats.usePool}\n`;
+    if (stats.poolSize) text += `Pool Size: ${stats.poolSize}\n`;
+    text += `TLS: ${stats.tls.mode}${stats.tls.protocol ? ` (${stats.tls.protocol}, ${stats.tls.cipher})` : ''}\n`;
+    text += `Total Measurements: ${stats.totalMeasurements}\n`;
+    text += `Successful: ${stats.successfulMeasurements}\n`;
+    text += `Failed: ${stats.failedMeasurements}\n`;
+    text += `Failure Rate: ${stats.failureRate}\n`;
+    const categories = Object.entries(stats.failuresByCategory);
+    if (categories.length > 0) {
+      text += `Failures by Category: ${categories.map(([category, count]) => `${category}=${count}`).join(', ')}\n`;
+    }
+    const { reliability } = stats;
+    if (reliability.availability !== null) {
+      text += `Availability: ${reliability.availability} (${reliability.outages} outage(s)${reliability.ongoingOutage ? ', one ongoing' : ''}, downtime ${reliability.downtime})\n`;
+      text += `MTTR: ${reliability.mttr || 'n/a'}, MTBF: ${reliability.mtbf || 'n/a'}\n`;
+    }
+    const { noise } = stats;
+    if (noise.noisyMeasurements > 0) {
+      text += `Noisy Measurements: ${noise.noisyMeasurements} (${noise.noisyRate}; ${Object.entries(noise.reasons).map(([reason, count]) => `${reason}=${count}`).join(', ')})` +
+        `${excludeNoisy ? ', excluded from latency' : ''}\n`;
+    }
+    if (noise.eventLoopDelayMax) {
+      text += `Client Noise (p95): event loop delay max ${noise.eventLoopDelayMax.p95} ms, GC pause ${noise.gcPause.p95} ms, CPU ${noise.cpuPercent.p95}%\n`;
+    }
+    text += `\n`;
+
+    if (stats.latency) {
+      text += formatLatency('Connect Latency (Client mode only)', stats.latency.connect);
+      text += formatLatency('Connect Phase: DNS Lookup', stats.latency.connectPhases.dns);
+      text += formatLatency('Connect Phase: TCP Handshake', stats.latency.connectPhases.tcpConnect);
+      text += formatLatency('Connect Phase: SSLRequest', stats.latency.connectPhases.sslRequest);
+      text += formatLatency('Connect Phase: TLS Handshake', stats.latency.connectPhases.tlsHandshake);
+      text += formatLatency('Connect Phase: Startup + Auth', stats.latency.connectPhases.auth);
+      text += formatLatency('Pool Acquire (Pool mode only)', stats.latency.poolAcquire);
+      text += formatLatency('Ping (SELECT 1 or PING)', stats.latency.ping);
+      text += formatLatency('Long Query (1000 rows)', stats.latency.longQuery);
+      text += formatLatency('Avg Round Trip (10x queries)', stats.latency.avgRoundTrip);
+      text += formatLatency('Total Query Time', stats.latency.query);
+      text += formatLatency('Total (Connect/Acquire + All Queries)', stats.latency.total);
+      text += formatLatency('Corrected Total (from intended start)', stats.latency.correctedTotal);
+      text += formatLatency('COPY TO STDOUT', stats.latency.copyOut);
+      text += formatLatency('COPY FROM STDIN', stats.latency.copyIn);
+      text += formatLatency('Schedule Delay', stats.latency.scheduleDelay);
+      if (target.workload.name !== 'default') {
+        for (const [name, data] of Object.entries(stats.latency.steps)) {
+          text += formatLatency(`Step: ${name} (avg per iteration)`, data);
+        }
+      }
+    } else {
+      text += `No successful measurements yet.\n\n`;
+    }
+
+    if (stats.copy) {
+      text += `--- COPY Throughput${target.copy ? ` (${describeCopy(target.copy)})` : ''} ---\n`;
+      for (const [label, data] of [['TO STDOUT', stats.copy.out], ['FROM STDIN', stats.copy.in]]) {
+        if (!data) continue;
+        text += `  ${label.padEnd(10)} Avg: ${data.mbPerSec.avg} MB/s, P50: ${data.mbPerSec.p50} MB/s, Min: ${data.mbPerSec.min} MB/s, ` +
+          `Avg: ${Math.round(data.rowsPerSec.avg)} rows/s\n`;
+      }
+      text += `\n`;
+    }
+
+    if (stats.buckets) {
+      text += `--- Per ${bucketSec}s Interval (total latency, ms) ---\n`;
+      text += `  ${'Start'.padEnd(24)} ${'N'.padStart(6)} ${'Failed'.padStart(6)} ${'P50'.padStart(9)} ${'P95'.padStart(9)} ${'P99'.padStart(9)}\n`;
+      for (const bucket of stats.buckets) {
+        const total = bucket.latency && bucket.latency.total;
+        text += `  ${bucket.start.padEnd(24)} ${String(bucket.measurements).padStart(6)} ${String(bucket.failed).padStart(6)} ` +
+          `${(total ? total.p50 : '-').padStart(9)} ${(total ? total.p95 : '-').padStart(9)} ${(total ? total.p99 : '-').padStart(9)}\n`;
+      }
+      text += `\n`;
+    }
   }
 
   res.type('text/plain').send(text);
-});
+}));
+
+app.get('/metrics/history', asyncRoute(async (req, res) => {
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  const segment = selectSegment(req);
+  const { all } = await loadResults(selected, segment, window);
 
-app.get('/metrics/history', (req, res) => {
   res.json({
     appType: APP_TYPE,
     startTime: startTime.toISOString(),
-    totalResults: results.length,
-    results: results
+    segment: segment || 'all',
+    window: describeWindow(window),
+    targets: selected.map(t => t.name),
+    totalResults: all.length,
+    results: all
   });
-});
+}));
+
+// Flattened measurements for spreadsheets and notebooks (see src/export.js):
+// /metrics/export.csv or /metrics/export.ndjson, with the usual target, segment
+// and time window parameters plus ?success=true|false and ?mode=client|pool
+app.get('/metrics/export.:format', asyncRoute(async (req, res) => {
+  const format = FORMATS[req.params.format];
+  if (!format) {
+    return res.status(404).json({ error: `Unknown export format: ${req.params.format}`, formats: Object.keys(FORMATS) });
+  }
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  let filter;
+  try {
+    filter = parseExportFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const segment = selectSegment(req);
+  // Rows are streamed from the store. Pinning until to now keeps CSV's two
+  // passes (see src/export.js) over the same measurements.
+  const storeFilter = {
+    targets: selected.map(t => t.name),
+    segment,
+    since: window.since !== null ? window.since : undefined,
+    until: window.until !== null ? window.until : Date.now()
+  };
+  const results = async function* () {
+    for await (const result of store.iterate(storeFilter)) {
+      if (matchesHours(result, window) && matchesExportFilter(result, filter)) yield result;
+    }
+  };
+
+  res.type(format.contentType);
+  res.attachment(`benchmark-${APP_TYPE.toLowerCase()}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format.extension}`);
+  // Lines are sent in chunks, waiting for the client to drain the socket
+  // whenever its buffer is full
+  try {
+    let chunk = '';
+    for await (const line of exportLines(results, req.params.format)) {
+      chunk += line;
+      if (chunk.length >= 64 * 1024) {
+        await writeChunk(res, chunk);
+        chunk = '';
+      }
+    }
+    res.end(chunk);
+  } catch (error) {
+    // Too late for an error response once the download has started
+    if (!res.headersSent) throw error;
+    console.error(`[${APP_TYPE}] Export stopped: ${error.message}`);
+    res.destroy();
+  }
+}));
+
+// Write to a response, resolving once the data is buffered or, when the
+// buffer is full, once it has drained; rejects if the client goes away first
+function writeChunk(res, chunk) {
+  if (res.destroyed) return Promise.reject(new Error('client closed the connection'));
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', settle);
+      res.off('close', closed);
+      if (error) reject(error);
+      else resolve();
+    };
+    const closed = () => settle(new Error('client closed the connection'));
+    res.on('drain', settle);
+    res.on('close', closed);
+  });
+}
+
+app.get('/metrics/failures', asyncRoute(async (req, res) => {
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  const segment = selectSegment(req);
+  const { all } = await loadResults(selected, segment, window);
+  const failures = all.filter(r => !r.success);
+
+  const byCategory = {};
+  for (const failure of failures) {
+    const category = failure.errorCategory || 'unknown';
+    byCategory[category] = (byCategory[category] || 0) + 1;
+  }
 
-app.get('/metrics/failures', (req, res) => {
-  const failures = results.filter(r => !r.success);
   res.json({
     appType: APP_TYPE,
+    segment: segment || 'all',
+    window: describeWindow(window),
     totalFailures: failures.length,
+    byCategory,
     failures: failures
   });
+}));
+
+// Outage windows, availability, MTTR and MTBF per target
+app.get('/metrics/reliability', asyncRoute(async (req, res) => {
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const window = selectWindow(req, res);
+  if (!window) return;
+  const segment = selectSegment(req);
+  const { byTarget } = await loadResults(selected, segment, window);
+
+  const perTarget = {};
+  for (const target of selected) {
+    perTarget[target.name] = summarizeReliability(byTarget.get(target.name));
+  }
+  res.json({
+    appType: APP_TYPE,
+    segment: segment || 'all',
+    window: describeWindow(window),
+    targets: perTarget
+  });
+}));
+
+// Comparison options shared by GET and POST /compare (throws on an invalid value)
+function parseCompareOptions(source, maxIterations = MAX_COMPARE_ITERATIONS) {
+  const options = { excludeNoisy: source.noisy !== undefined ? source.noisy === 'exclude' : EXCLUDE_NOISY };
+  if (source.alpha !== undefined) {
+    options.alpha = Number(source.alpha);
+    if (!(options.alpha > 0 && options.alpha < 1)) {
+      throw new Error(`Invalid alpha "${source.alpha}" (expected a number between 0 and 1, exclusive)`);
+    }
+  }
+  if (source.iterations !== undefined) {
+    options.iterations = Number(source.iterations);
+    if (!Number.isInteger(options.iterations) || options.iterations < 1 || options.iterations > maxIterations) {
+      throw new Error(`Invalid iterations "${source.iterations}" (expected an integer from 1 to ${maxIterations})`);
+    }
+  }
+  return options;
+}
+
+function selectCompareOptions(source, res, maxIterations) {
+  try {
+    return parseCompareOptions(source, maxIterations);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// The peer app GET /compare may fetch from: http(s) only, and either listed in
+// COMPARE_PEERS or requested with the control token, so the endpoint can't be
+// used to make this app fetch arbitrary URLs
+function selectPeer(req, res) {
+  let peer;
+  try {
+    peer = new URL(req.query.peer);
+  } catch (error) {
+    res.status(400).json({ error: `Invalid peer URL "${req.query.peer}"` });
+    return null;
+  }
+  if (peer.protocol !== 'http:' && peer.protocol !== 'https:') {
+    res.status(400).json({ error: `Invalid peer URL "${req.query.peer}" (expected http or https)` });
+    return null;
+  }
+  if (!COMPARE_PEERS.includes(peer.origin) && !hasControlToken(req)) {
+    res.status(403).json({ error: `Peer ${peer.origin} is not in COMPARE_PEERS; add it there or send the control token` });
+    return null;
+  }
+  return peer;
+}
+
+// A /metrics/history payload, or a bare array of results
+const historyResults = (payload) => (Array.isArray(payload) ? payload : (payload && payload.results) || []);
+
+// Compare this app (A) with a peer app (B), e.g. the VPC app with the public app:
+// GET /compare?peer=https://benchmark-pub-app.ondigitalocean.app&target=default
+// Without peer, compares two local targets: GET /compare?target=verify-full&peerTarget=require
+app.get('/compare', asyncRoute(async (req, res) => {
+  if (!req.query.peer && !req.query.peerTarget) {
+    return res.status(400).json({ error: 'Missing ?peer=<base URL of the other benchmark app> or ?peerTarget=<local target>' });
+  }
+  const selected = selectTargets(req, res);
+  if (!selected) return;
+  const options = selectCompareOptions(req.query, res);
+  if (!options) return;
+  const peer = req.query.peer ? selectPeer(req, res) : null;
+  if (req.query.peer && !peer) return;
+  const target = selected[0];
+  const { all } = await loadResults([target], selectSegment(req));
+
+  if (!peer) {
+    const other = findTarget(req.query.peerTarget);
+    if (!other) {
+      return res.status(404).json({ error: `Unknown target: ${req.query.peerTarget}`, targets: targets.map(t => t.name) });
+    }
+    const segment = req.query.peerSegment === 'all' ? undefined : (req.query.peerSegment || selectSegment(req));
+    const { all: otherResults } = await loadResults([other], segment);
+    return res.json({
+      a: { appType: APP_TYPE, target: target.name, measurements: all.length },
+      b: { appType: APP_TYPE, target: other.name, measurements: otherResults.length },
+      ...compareResults(all, otherResults, options)
+    });
+  }
+
+  const peerUrl = new URL('/metrics/history', peer);
+  peerUrl.searchParams.set('target', req.query.peerTarget || target.name);
+  if (req.query.peerSegment) peerUrl.searchParams.set('segment', req.query.peerSegment);
+
+  // An allowed peer must not redirect somewhere that isn't
+  let history;
+  try {
+    const response = await fetch(peerUrl, { redirect: 'error', signal: AbortSignal.timeout(15000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    history = await response.json();
+  } catch (error) {
+    return res.status(502).json({ error: `Fetching ${peerUrl} failed: ${error.message}` });
+  }
+
+  res.json({
+    a: { appType: APP_TYPE, target: target.name, measurements: all.length },
+    b: { appType: history.appType, url: req.query.peer, target: req.query.peerTarget || target.name, measurements: historyResults(history).length },
+    ...compareResults(all, historyResults(history), options)
+  });
+}));
+
+// Compare two history payloads: { "a": <history>, "b": <history>, "target": "optional" }
+// Requires the control token, like the other CPU-heavy POST routes
+app.post('/compare', requireControlToken, express.json({ limit: '50mb' }), (req, res) => {
+  const body = req.body || {};
+  if (!body.a || !body.b) {
+    return res.status(400).json({ error: 'Body must contain "a" and "b" (each a /metrics/history payload or an array of results)' });
+  }
+  const options = selectCompareOptions(body, res, MAX_POSTED_COMPARE_ITERATIONS);
+  if (!options) return;
+  const pick = (payload) => historyResults(payload).filter(r => !body.target || r.target === body.target);
+  const a = pick(body.a);
+  const b = pick(body.b);
+  if (a.length > MAX_POSTED_COMPARE_SAMPLES || b.length > MAX_POSTED_COMPARE_SAMPLES) {
+    return res.status(400).json({ error: `At most ${MAX_POSTED_COMPARE_SAMPLES} measurements per side (got ${a.length} and ${b.length}); narrow them down with "target" or a shorter window` });
+  }
+
+  res.json({
+    a: { appType: body.a.appType || null, measurements: a.length },
+    b: { appType: body.b.appType || null, measurements: b.length },
+    ...compareResults(a, b, options)
+  });
 });
 
-// Test outbound connectivity
-app.get('/test-outbound', async (req, res) => {
-  const net = require('net');
-  const https = require('https');
-  const http = require('http');
-  const dns = require('dns').promises;
-
-  const results = {
-    timestamp: new Date().toISOString(),
-    tests: []
-  };
+// /segments and /experiments read every stored measurement of their window,
+// so without since the window is the last LISTING_WINDOW_MS (before until)
+function selectListingWindow(req, res) {
+  const window = selectWindow(req, res);
+  if (window && window.since === null) window.since = (window.until !== null ? window.until : Date.now()) - LISTING_WINDOW_MS;
+  return window;
+}
 
-  const TIMEOUT = 3000; // 3 second timeout
+async function loadListing(window) {
+  const stored = await store.list({ since: window.since, until: window.until !== null ? window.until : undefined });
+  return applyHours(stored, window);
+}
 
-  // Helper for TCP tests
-  const testTcp = (host, port) => new Promise((resolve, reject) => {
-    const socket = net.createConnection({ host, port, timeout: TIMEOUT });
-    socket.on('connect', () => { socket.destroy(); resolve(true); });
-    socket.on('error', (e) => { socket.destroy(); reject(e); });
-    socket.on('timeout', () => { socket.destroy(); reject(new Error('timeout')); });
+// Configuration segments recorded in the results store, oldest first
+app.get('/segments', asyncRoute(async (req, res) => {
+  const window = selectListingWindow(req, res);
+  if (!window) return;
+  res.json({
+    appType: APP_TYPE,
+    current: currentSegment,
+    window: describeWindow(window),
+    segments: listSegments(await loadListing(window))
   });
+}));
 
-  // Test 1: HTTPS (TCP 443)
-  try {
-    const start = Date.now();
-    await new Promise((resolve, reject) => {
-      const req = https.get('https://api.ipify.org?format=json', { timeout: TIMEOUT }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(data));
-      });
-      req.on('error', reject);
-      req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+// Experiments recorded in the results store (see src/experiments.js), oldest first
+app.get('/experiments', asyncRoute(async (req, res) => {
+  const window = selectListingWindow(req, res);
+  if (!window) return;
+  res.json({
+    appType: APP_TYPE,
+    current: experiment,
+    window: describeWindow(window),
+    experiments: listExperiments(await loadListing(window))
+  });
+}));
+
+// Stats of one stored experiment's targets. Targets are taken from the
+// recorded measurements, so experiments from other apps or configurations
+// work too; mode and driver are those of the latest measurement.
+async function experimentStats(id, excludeNoisy) {
+  const results = await store.list({ experiment: id });
+  if (results.length === 0) return null;
+  const [summary] = listExperiments(results);
+  const byTarget = new Map();
+  for (const r of results) {
+    if (!byTarget.has(r.target)) byTarget.set(r.target, []);
+    byTarget.get(r.target).push(r);
+  }
+  const stats = [...byTarget].map(([name, targetResults]) => {
+    const last = targetResults[targetResults.length - 1];
+    const current = findTarget(name);
+    const target = {
+      name,
+      driver: last.driver,
+      mode: last.mode,
+      poolSize: current && current.mode === last.mode ? current.poolSize : null,
+      url: null
+    };
+    return {
+      ...calculateStats(target, targetResults, { excludeNoisy }),
+      appType: summary.metadata ? summary.metadata.appType : null,
+      results: targetResults
+    };
+  });
+  return { summary, stats };
+}
+
+// Compare two stored experiments target by target:
+// GET /experiments/compare?a=<id>&b=<id>[&target=<name>][&peerTarget=<name>]
+// Without target, every target recorded in both is compared. format=markdown
+// returns the tables in the README's Test Results layout.
+app.get('/experiments/compare', asyncRoute(async (req, res) => {
+  if (!req.query.a || !req.query.b) {
+    return res.status(400).json({ error: 'Missing ?a=<experiment id>&b=<experiment id>' });
+  }
+  const excludeNoisy = selectExcludeNoisy(req, res);
+  if (excludeNoisy === null) return;
+  const options = selectCompareOptions(req.query, res);
+  if (!options) return;
+  const [a, b] = await Promise.all([experimentStats(req.query.a, excludeNoisy), experimentStats(req.query.b, excludeNoisy)]);
+  for (const [id, found] of [[req.query.a, a], [req.query.b, b]]) {
+    if (!found) return res.status(404).json({ error: `Unknown experiment: ${id}` });
+  }
+
+  const pairs = req.query.target
+    ? [[req.query.target, req.query.peerTarget || req.query.target]]
+    : a.stats.map(s => [s.target, s.target]).filter(([name]) => b.stats.some(s => s.target === name));
+  const comparison = {
+    a: { id: a.summary.id, metadata: a.summary.metadata },
+    b: { id: b.summary.id, metadata: b.summary.metadata },
+    targets: []
+  };
+  for (const [nameA, nameB] of pairs) {
+    const statsA = a.stats.find(s => s.target === nameA);
+    const statsB = b.stats.find(s => s.target === nameB);
+    if (!statsA || !statsB) {
+      return res.status(404).json({ error: `Target ${statsA ? nameB : nameA} has no measurements in experiment ${statsA ? b.summary.id : a.summary.id}` });
+    }
+    const { results: resultsA, ...restA } = statsA;
+    const { results: resultsB, ...restB } = statsB;
+    comparison.targets.push({
+      a: restA,
+      b: restB,
+      comparison: compareResults(resultsA, resultsB, options)
     });
-    results.tests.push({ test: 'HTTPS (TCP 443)', target: 'api.ipify.org', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'HTTPS (TCP 443)', target: 'api.ipify.org', status: 'FAILED', error: e.message });
+  }
+  if (comparison.targets.length === 0) {
+    return res.status(404).json({ error: `Experiments ${a.summary.id} and ${b.summary.id} have no target in common (pick one with ?target= and ?peerTarget=)` });
   }
 
-  // Test 2: DNS resolution (UDP 53)
-  try {
-    const start = Date.now();
-    const addresses = await dns.resolve4('google.com');
-    results.tests.push({ test: 'DNS (UDP 53)', target: 'google.com', status: 'OK', result: addresses, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'DNS (UDP 53)', target: 'google.com', status: 'FAILED', error: e.message });
+  if (req.query.format === 'markdown') return res.type('text/markdown').send(experimentTable(comparison));
+  res.json({ ...comparison, markdown: experimentTable(comparison) });
+}));
+
+// One stored experiment with the stats of each of its targets
+app.get('/experiments/:id', asyncRoute(async (req, res) => {
+  const excludeNoisy = selectExcludeNoisy(req, res);
+  if (excludeNoisy === null) return;
+  const found = await experimentStats(req.params.id, excludeNoisy);
+  if (!found) return res.status(404).json({ error: `Unknown experiment: ${req.params.id}` });
+  res.json({
+    ...found.summary,
+    current: found.summary.id === experiment.id,
+    stats: found.stats.map(({ results, ...stats }) => stats)
+  });
+}));
+
+// Control API: requires CONTROL_TOKEN as a bearer token. Without CONTROL_TOKEN
+// the control endpoints are disabled.
+function hasControlToken(req) {
+  if (!CONTROL_TOKEN) return false;
+  const header = req.get('authorization') || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(CONTROL_TOKEN);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function requireControlToken(req, res, next) {
+  if (!CONTROL_TOKEN) {
+    return res.status(403).json({ error: 'Control API is disabled (set CONTROL_TOKEN to enable it)' });
+  }
+  if (!hasControlToken(req)) {
+    return res.status(401).json({ error: 'Missing or invalid bearer token' });
   }
+  next();
+}
+
+const controlStatus = () => ({
+  appType: APP_TYPE,
+  scheduler: scheduler.status(),
+  segment: currentSegment,
+  experiment,
+  targets: targets.map(t => ({
+    name: t.name,
+    driver: t.driver,
+    mode: t.mode,
+    poolSize: t.poolSize,
+    workload: t.workload.name,
+    impairment: t.proxy ? { ...t.impairment, port: t.proxy.port(), stats: t.proxy.stats() } : null
+  }))
+});
+
+app.get('/control', requireControlToken, (req, res) => {
+  res.json(controlStatus());
+});
 
-  // Test 3: HTTP (TCP 80)
+// Trigger one cycle immediately (queued behind a cycle already running)
+app.post('/control/run', requireControlToken, asyncRoute(async (req, res) => {
+  await scheduler.runNow();
+  res.json(controlStatus());
+}));
+
+app.post('/control/pause', requireControlToken, (req, res) => {
+  scheduler.stop();
+  console.log(`[${APP_TYPE}] Scheduler paused`);
+  res.json(controlStatus());
+});
+
+app.post('/control/resume', requireControlToken, (req, res) => {
+  scheduler.start();
+  console.log(`[${APP_TYPE}] Scheduler resumed`);
+  res.json(controlStatus());
+});
+
+// Change the interval and/or arrival process: { "intervalSec": 30, "arrival": "poisson", "label": "..." }
+app.put('/control/schedule', requireControlToken, (req, res) => {
+  const body = req.body || {};
   try {
-    const start = Date.now();
-    await new Promise((resolve, reject) => {
-      const req = http.get('http://httpbin.org/ip', { timeout: TIMEOUT }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(data));
-      });
-      req.on('error', reject);
-      req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+    scheduler.setTiming({
+      intervalMs: body.intervalSec !== undefined ? Number(body.intervalSec) * 1000 : undefined,
+      arrival: body.arrival
     });
-    results.tests.push({ test: 'HTTP (TCP 80)', target: 'httpbin.org', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'HTTP (TCP 80)', target: 'httpbin.org', status: 'FAILED', error: e.message });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  // Test 4: SSH port (TCP 22) - to github.com
-  try {
-    const start = Date.now();
-    await testTcp('github.com', 22);
-    results.tests.push({ test: 'TCP 22 (SSH)', target: 'github.com:22', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'TCP 22 (SSH)', target: 'github.com:22', status: 'FAILED', error: e.message });
+  const { intervalMs, arrival } = scheduler.timing();
+  enterSegment(body.label || `schedule: ${arrival} every ${intervalMs / 1000}s`);
+  res.json(controlStatus());
+});
+
+// Switch a target between client and pool mode: { "mode": "pool", "poolSize": 5, "label": "..." }
+app.put('/control/targets/:name/mode', requireControlToken, asyncRoute(async (req, res) => {
+  const target = findTarget(req.params.name);
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${req.params.name}`, targets: targets.map(t => t.name) });
   }
 
-  // Test 5: PostgreSQL port (TCP 5432) - to our own DB
-  try {
-    const start = Date.now();
-    await testTcp('vpc-benchmark-db-do-user-8198484-0.k.db.ondigitalocean.com', 25060);
-    results.tests.push({ test: 'TCP 25060 (DO Postgres)', target: 'vpc-benchmark-db', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'TCP 25060 (DO Postgres)', target: 'vpc-benchmark-db', status: 'FAILED', error: e.message });
+  const body = req.body || {};
+  const mode = body.mode || target.mode;
+  const poolSize = body.poolSize !== undefined ? parseInt(body.poolSize, 10) : target.poolSize;
+  if (!['client', 'pool'].includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode "${mode}" (expected client or pool)` });
+  }
+  if (!(poolSize >= 1)) {
+    return res.status(400).json({ error: '"poolSize" must be a positive integer' });
+  }
+  if (loadTester.isRunning() || sweeper.isRunning()) {
+    return res.status(409).json({ error: `Cannot switch modes while a ${loadTester.isRunning() ? 'load test' : 'sweep'} is running` });
   }
 
-  // Test 6: SMTP port (TCP 587) - to gmail
-  try {
-    const start = Date.now();
-    await testTcp('smtp.gmail.com', 587);
-    results.tests.push({ test: 'TCP 587 (SMTP)', target: 'smtp.gmail.com:587', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'TCP 587 (SMTP)', target: 'smtp.gmail.com:587', status: 'FAILED', error: e.message });
+  // Wait for any running cycle so no measurement sees a half-rebuilt target
+  await scheduler.exclusive(async () => {
+    target.mode = mode;
+    target.poolSize = poolSize;
+    await initializePool(target);
+  });
+
+  enterSegment(body.label || `${target.name}: ${mode}${mode === 'pool' ? ` (pool size ${poolSize})` : ''}`);
+  res.json(controlStatus());
+}));
+
+// Change a target's network impairment: { "latencyMs": 0.5, "jitterMs": 0.1, "label": "..." }
+// Settings not given keep their current value. The first call for a target
+// starts its proxy and rebuilds the pool so connections go through it.
+app.put('/control/targets/:name/impairment', requireControlToken, asyncRoute(async (req, res) => {
+  const target = findTarget(req.params.name);
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${req.params.name}`, targets: targets.map(t => t.name) });
+  }
+  if (loadTester.isRunning() || sweeper.isRunning()) {
+    return res.status(409).json({ error: `Cannot change impairment while a ${loadTester.isRunning() ? 'load test' : 'sweep'} is running` });
   }
 
-  // Test 7: Custom DNS server (UDP 53)
+  const { label, ...settings } = req.body || {};
+  let impairment;
   try {
-    const start = Date.now();
-    const resolver = new dns.Resolver();
-    resolver.setServers(['8.8.8.8']);
-    await resolver.resolve4('example.com');
-    results.tests.push({ test: 'UDP 53 to 8.8.8.8', target: 'Google DNS', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 53 to 8.8.8.8', target: 'Google DNS', status: 'FAILED', error: e.message });
+    impairment = normalizeImpairment({ ...(target.impairment || {}), ...settings }, 'impairment');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  // Test 8: High port (TCP 8443) - common alternate HTTPS
-  try {
-    const start = Date.now();
-    await testTcp('www.cloudflare.com', 8443);
-    results.tests.push({ test: 'TCP 8443', target: 'cloudflare.com:8443', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'TCP 8443', target: 'cloudflare.com:8443', status: 'FAILED', error: e.message });
+  await scheduler.exclusive(async () => {
+    target.impairment = impairment;
+    if (target.proxy) {
+      target.proxy.update(impairment);
+    } else {
+      attachProxy(target);
+      await startProxy(target);
+      await initializePool(target);
+    }
+  });
+
+  enterSegment(label || `${target.name}: impairment ${describeImpairment(impairment)}`);
+  res.json(controlStatus());
+}));
+
+// Evaluate the alert rules now instead of waiting for the next scheduled check
+app.post('/control/alerts/check', requireControlToken, asyncRoute(async (req, res) => {
+  await alerter.check(targets);
+  res.json(alerter.status());
+}));
+
+// Load tests: POST starts one in the background, GET polls the report
+app.post('/load', requireControlToken, (req, res) => {
+  const body = req.body || {};
+  const target = body.target ? findTarget(body.target) : targets[0];
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${body.target}`, targets: targets.map(t => t.name) });
   }
 
-  // Test 9: FTP port (TCP 21)
+  let options;
   try {
-    const start = Date.now();
-    await testTcp('ftp.debian.org', 21);
-    results.tests.push({ test: 'TCP 21 (FTP)', target: 'ftp.debian.org:21', status: 'OK', latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'TCP 21 (FTP)', target: 'ftp.debian.org:21', status: 'FAILED', error: e.message });
-  }
-
-  // ===== UDP Video/WebRTC Tests =====
-  const dgram = require('dgram');
-
-  // Helper for UDP STUN test (STUN binding request)
-  const testStunUdp = (host, port) => new Promise((resolve, reject) => {
-    const socket = dgram.createSocket('udp4');
-    const timeout = setTimeout(() => {
-      socket.close();
-      reject(new Error('timeout'));
-    }, TIMEOUT);
-
-    // STUN Binding Request (simplified)
-    // Message Type: 0x0001 (Binding Request)
-    // Magic Cookie: 0x2112A442
-    // Transaction ID: random 12 bytes
-    const stunRequest = Buffer.alloc(20);
-    stunRequest.writeUInt16BE(0x0001, 0);  // Message Type
-    stunRequest.writeUInt16BE(0x0000, 2);  // Message Length
-    stunRequest.writeUInt32BE(0x2112A442, 4);  // Magic Cookie
-    // Transaction ID (random)
-    for (let i = 8; i < 20; i++) {
-      stunRequest[i] = Math.floor(Math.random() * 256);
-    }
+    options = parseLoadOptions(body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    socket.on('message', (msg) => {
-      clearTimeout(timeout);
-      socket.close();
-      // Check if it's a STUN response (0x0101 = Binding Success Response)
-      if (msg.length >= 20 && msg.readUInt16BE(0) === 0x0101) {
-        resolve({ type: 'STUN_RESPONSE', size: msg.length });
-      } else {
-        resolve({ type: 'UDP_RESPONSE', size: msg.length });
-      }
-    });
+  if (sweeper.isRunning()) {
+    return res.status(409).json({ error: 'Cannot start a load test while a sweep is running' });
+  }
 
-    socket.on('error', (err) => {
-      clearTimeout(timeout);
-      socket.close();
-      reject(err);
-    });
+  try {
+    const report = loadTester.start(target, options);
+    res.status(202).json(report);
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
 
-    socket.send(stunRequest, port, host);
+app.get('/load', (req, res) => {
+  // The timeline can be thousands of samples; fetch it per test
+  res.json({
+    appType: APP_TYPE,
+    running: loadTester.isRunning(),
+    tests: loadTester.list().map(({ poolTimeline, ...summary }) => summary)
   });
+});
 
-  // Test 10: STUN (UDP 3478) - Standard STUN port
-  try {
-    const start = Date.now();
-    const response = await testStunUdp('stun.l.google.com', 19302);
-    results.tests.push({ test: 'UDP 19302 (STUN)', target: 'stun.l.google.com:19302', status: 'OK', response: response.type, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 19302 (STUN)', target: 'stun.l.google.com:19302', status: 'FAILED', error: e.message });
+app.get('/load/:id', (req, res) => {
+  const report = loadTester.get(parseInt(req.params.id, 10));
+  if (!report) {
+    return res.status(404).json({ error: `Unknown load test: ${req.params.id}` });
   }
+  res.json(report);
+});
 
-  // Test 11: STUN on standard port 3478
-  try {
-    const start = Date.now();
-    const response = await testStunUdp('stun.stunprotocol.org', 3478);
-    results.tests.push({ test: 'UDP 3478 (STUN)', target: 'stun.stunprotocol.org:3478', status: 'OK', response: response.type, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 3478 (STUN)', target: 'stun.stunprotocol.org:3478', status: 'FAILED', error: e.message });
+// Idle tests: POST starts one in the background, GET polls the report
+app.post('/idle-test', requireControlToken, (req, res) => {
+  const body = req.body || {};
+  const target = body.target ? findTarget(body.target) : targets[0];
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${body.target}`, targets: targets.map(t => t.name) });
+  }
+  if (target.driver !== 'postgres') {
+    return res.status(400).json({ error: `Idle tests need a Postgres target (${target.name} uses ${target.driver})` });
   }
 
-  // Test 12: Jitsi Meet STUN
+  let options;
   try {
-    const start = Date.now();
-    const response = await testStunUdp('meet-jit-si-turnrelay.jitsi.net', 443);
-    results.tests.push({ test: 'UDP 443 (Jitsi TURN)', target: 'jitsi.net:443', status: 'OK', response: response.type, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 443 (Jitsi TURN)', target: 'jitsi.net:443', status: 'FAILED', error: e.message });
+    options = parseIdleOptions(body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  // Test 13: UDP high port (WebRTC media range 16384-32768)
-  // Test against Twilio's TURN server
   try {
-    const start = Date.now();
-    const response = await testStunUdp('global.stun.twilio.com', 3478);
-    results.tests.push({ test: 'UDP 3478 (Twilio STUN)', target: 'twilio.com:3478', status: 'OK', response: response.type, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 3478 (Twilio STUN)', target: 'twilio.com:3478', status: 'FAILED', error: e.message });
+    const report = idleTester.start(target, options);
+    res.status(202).json(report);
+  } catch (error) {
+    res.status(409).json({ error: error.message });
   }
+});
 
-  // Test 14: TURN over UDP 443 (common for restrictive firewalls)
-  try {
-    const start = Date.now();
-    const response = await testStunUdp('stun.l.google.com', 19305);
-    results.tests.push({ test: 'UDP 19305 (Google STUN alt)', target: 'stun.l.google.com:19305', status: 'OK', response: response.type, latencyMs: Date.now() - start });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 19305 (Google STUN alt)', target: 'stun.l.google.com:19305', status: 'FAILED', error: e.message });
-  }
-
-  // Test 15: Generic UDP test to high port (simulating RTP)
-  const testUdpEcho = (host, port) => new Promise((resolve, reject) => {
-    const socket = dgram.createSocket('udp4');
-    const timeout = setTimeout(() => {
-      socket.close();
-      // For UDP, no response doesn't necessarily mean blocked
-      // The packet might have been sent but no response expected
-      resolve({ sent: true, response: false });
-    }, TIMEOUT);
-
-    socket.on('message', (msg) => {
-      clearTimeout(timeout);
-      socket.close();
-      resolve({ sent: true, response: true, size: msg.length });
-    });
+app.get('/idle-test', (req, res) => {
+  // Per-connection details are in GET /idle-test/:id
+  res.json({
+    appType: APP_TYPE,
+    running: idleTester.isRunning(),
+    tests: idleTester.list().map(({ connections, ...summary }) => summary)
+  });
+});
 
-    socket.on('error', (err) => {
-      clearTimeout(timeout);
-      socket.close();
-      reject(err);
-    });
+app.get('/idle-test/:id', (req, res) => {
+  const report = idleTester.get(parseInt(req.params.id, 10));
+  if (!report) {
+    return res.status(404).json({ error: `Unknown idle test: ${req.params.id}` });
+  }
+  res.json(report);
+});
+
+app.post('/idle-test/:id/cancel', requireControlToken, (req, res) => {
+  const report = idleTester.cancel(parseInt(req.params.id, 10));
+  if (!report) {
+    return res.status(404).json({ error: `Unknown idle test: ${req.params.id}` });
+  }
+  res.json(report);
+});
 
-    // Send a test packet
-    socket.send(Buffer.from('test'), port, host);
+// PgBouncer compatibility checks take a few seconds, so POST answers with the report
+app.post('/pooler-check', requireControlToken, asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  const target = body.target ? findTarget(body.target) : targets[0];
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${body.target}`, targets: targets.map(t => t.name) });
+  }
+  if (target.driver !== 'postgres') {
+    return res.status(400).json({ error: `Pooler checks need a Postgres target (${target.name} uses ${target.driver})` });
+  }
+  res.json(await poolerChecker.run(target));
+}));
+
+app.get('/pooler-check', (req, res) => {
+  res.json({
+    appType: APP_TYPE,
+    checks: poolerChecker.list()
   });
+});
+
+// Sweeps: POST starts one in the background, GET polls the report
+// (?format=markdown for the comparison table)
+app.post('/sweep', requireControlToken, (req, res) => {
+  const body = req.body || {};
+  const target = body.target ? findTarget(body.target) : targets[0];
+  if (!target) {
+    return res.status(404).json({ error: `Unknown target: ${body.target}`, targets: targets.map(t => t.name) });
+  }
+
+  let options;
+  try {
+    options = parseSweepOptions(body, target);
+    for (const step of options.steps.filter(s => s.urlEnv)) {
+      if (target.proxy) throw new Error('urlEnv steps can\'t be used on a target behind an impairment proxy');
+      const url = process.env[step.urlEnv];
+      if (driverName(url) !== target.driver) {
+        throw new Error(`urlEnv "${step.urlEnv}" is a ${driverName(url)} URL, but ${target.name} uses ${target.driver}`);
+      }
+      sslSettings(url);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-  // Test 16: UDP to port 10000 (Jitsi Videobridge default)
   try {
-    const start = Date.now();
-    const result = await testUdpEcho('meet.jit.si', 10000);
-    results.tests.push({
-      test: 'UDP 10000 (Jitsi JVB)',
-      target: 'meet.jit.si:10000',
-      status: result.sent ? 'SENT' : 'FAILED',
-      note: 'UDP sent successfully (no echo expected)',
-      latencyMs: Date.now() - start
+    const report = sweeper.start(target, options, {
+      mode: target.mode,
+      poolSize: target.poolSize,
+      url: target.url,
+      segmentLabel: currentSegment.label
     });
-  } catch (e) {
-    results.tests.push({ test: 'UDP 10000 (Jitsi JVB)', target: 'meet.jit.si:10000', status: 'FAILED', error: e.message });
+    res.status(202).json(report);
+  } catch (error) {
+    res.status(409).json({ error: error.message });
   }
+});
 
-  // Summary
-  const passed = results.tests.filter(t => t.status === 'OK').length;
-  const failed = results.tests.filter(t => t.status === 'FAILED').length;
-  results.summary = { passed, failed, total: results.tests.length };
+app.get('/sweep', (req, res) => {
+  res.json({
+    appType: APP_TYPE,
+    running: sweeper.isRunning(),
+    sweeps: sweeper.list()
+  });
+});
 
-  res.json(results);
+app.get('/sweep/:id', (req, res) => {
+  const report = sweeper.get(parseInt(req.params.id, 10));
+  if (!report) {
+    return res.status(404).json({ error: `Unknown sweep: ${req.params.id}` });
+  }
+  if (req.query.format === 'markdown') {
+    return res.type('text/markdown').send(sweepTable(report));
+  }
+  res.json({ ...report, table: sweepTable(report) });
 });
 
-// Initialize pool if USE_POOL is enabled
-async function initializePool() {
-  if (USE_POOL) {
-    console.log(`[${APP_TYPE}] Initializing connection pool (size: ${POOL_SIZE})...`);
-    pool = new Pool(getDbConfig());
+app.post('/sweep/:id/cancel', requireControlToken, (req, res) => {
+  const report = sweeper.cancel(parseInt(req.params.id, 10));
+  if (!report) {
+    return res.status(404).json({ error: `Unknown sweep: ${req.params.id}` });
+  }
+  res.json(report);
+});
 
-    // Handle pool errors
-    pool.on('error', (err) => {
-      console.error(`[${APP_TYPE}] Pool error:`, err.message);
-    });
+// Test outbound connectivity
+// Run every outbound probe now (in parallel) and record the run
+app.get('/test-outbound', asyncRoute(async (req, res) => {
+  res.json(await prober.run());
+}));
 
-    // Test the pool connection
-    try {
-      const client = await pool.connect();
-      await client.query('SELECT 1');
-      client.release();
-      console.log(`[${APP_TYPE}] Pool initialized and tested successfully`);
-    } catch (error) {
-      console.error(`[${APP_TYPE}] Pool initialization failed:`, error.message);
-    }
+// Per-probe success rate and latency over the recorded runs
+app.get('/probes', (req, res) => {
+  res.json({
+    appType: APP_TYPE,
+    schedule: probeScheduler ? probeScheduler.status() : null,
+    runs: prober.history().length,
+    probes: prober.summary()
+  });
+});
+
+// Recorded probe runs, oldest first; ?probe=<name> limits them to one probe
+app.get('/probes/history', (req, res) => {
+  if (req.query.probe && !prober.probes.some(p => p.name === req.query.probe)) {
+    return res.status(404).json({ error: `Unknown probe: ${req.query.probe}`, probes: prober.probes.map(p => p.name) });
   }
-}
+  const runs = prober.history({ probe: req.query.probe });
+  res.json({
+    appType: APP_TYPE,
+    probe: req.query.probe || null,
+    totalRuns: runs.length,
+    runs
+  });
+});
+
+// Alert rules, the state of each rule and target, and recent notifications
+app.get('/alerts', (req, res) => {
+  res.json({
+    appType: APP_TYPE,
+    schedule: alertScheduler ? alertScheduler.status() : null,
+    ...alerter.status()
+  });
+});
 
 // Start server
 app.listen(PORT, async () => {
   console.log(`[${APP_TYPE}] Server running on port ${PORT}`);
-  console.log(`[${APP_TYPE}] Database URL configured: ${DATABASE_URL ? 'Yes' : 'No'}`);
-  console.log(`[${APP_TYPE}] Connection mode: ${USE_POOL ? 'POOL' : 'CLIENT'}`);
-  if (USE_POOL) {
-    console.log(`[${APP_TYPE}] Pool size: ${POOL_SIZE}`);
+  console.log(`[${APP_TYPE}] Targets configured: ${targets.length > 0 ? targets.length : 'None (set DATABASE_URL or BENCHMARK_TARGETS)'}`);
+  for (const target of targets) {
+    const poolInfo = target.mode === 'pool' ? ` (pool size: ${target.poolSize})` : '';
+    console.log(`[${APP_TYPE}]   ${target.name}: ${target.driver} ${target.mode.toUpperCase()}${poolInfo}`);
   }
-  console.log(`[${APP_TYPE}] Starting benchmark (every ${BENCHMARK_INTERVAL / 1000}s)...`);
+  console.log(`[${APP_TYPE}] Experiment ${experiment.id}: ${JSON.stringify(experiment.metadata)}`);
+  console.log(`[${APP_TYPE}] Starting benchmark (${BENCHMARK_ARRIVAL} arrivals, every ${BENCHMARK_INTERVAL / 1000}s)...`);
 
-  // Initialize pool if needed
-  await initializePool();
+  // Open the results store before the first measurement is written
+  try {
+    await store.init();
+    console.log(`[${APP_TYPE}] Results store: ${store.name} (${await store.count()} stored measurements)`);
+    for await (const result of store.iterate({ since: Date.now() - aggregates.retentionMs })) aggregates.add(result);
+  } catch (error) {
+    console.error(`[${APP_TYPE}] Results store initialization failed:`, error.message);
+  }
 
-  // Run initial benchmark
-  runBenchmark();
+  // Start impairment proxies before anything connects through them
+  for (const target of targets) {
+    if (target.proxy) await startProxy(target);
+  }
+
+  // Initialize pools for pool-mode targets
+  for (const target of targets) {
+    await initializePool(target);
+  }
 
-  // Schedule recurring benchmarks
-  setInterval(runBenchmark, BENCHMARK_INTERVAL);
+  // Run the first cycle now and the rest on the intended timeline
+  scheduler.start();
+
+  if (probeScheduler) {
+    console.log(`[${APP_TYPE}] Running ${prober.probes.length} outbound probes every ${PROBE_INTERVAL / 1000}s`);
+    probeScheduler.start();
+  }
+
+  if (alertScheduler) {
+    console.log(`[${APP_TYPE}] Evaluating ${alerter.rules.length} alert rule(s) every ${ALERT_INTERVAL / 1000}s${process.env.ALERT_WEBHOOK_URL ? '' : ' (no ALERT_WEBHOOK_URL, alerts are only logged)'}`);
+    alertScheduler.start();
+  }
 });
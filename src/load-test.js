@@ -0,0 +1,266 @@
+// Concurrent load mode
+//
+// The scheduled benchmark only ever holds one pooled connection at a time, so
+// pool size and PgBouncer limits never come into play. A load test drives a
+// pool with either
+//
+//   workers: N   closed loop - N workers each run the workload back to back
+//   rate: R      open loop   - a new operation starts every 1/R seconds,
+//                              whether or not earlier ones have finished, up
+//                              to maxInFlight at once; arrivals beyond that
+//                              are dropped and counted, and arrivals that
+//                              start more than LATE_MS after their slot are
+//                              counted as late
+//
+// for a fixed duration. Each operation acquires a connection, runs the target's
+// workload once and releases it. The report covers throughput (operations and
+// queries per second), operation latency percentiles, pool wait (acquire)
+// percentiles and a timeline of the pool's total/idle/waiting counts sampled
+// while the test runs. Latency and pool wait go into streaming histograms (see
+// src/histogram.js), so a long test at a high rate doesn't keep every sample.
+
+const { round2 } = require('./stats');
+const { createHistogram } = require('./histogram');
+const { classifyError } = require('./failures');
+const { getDriver } = require('./drivers');
+
+const MAX_DURATION_SEC = 3600;
+const MAX_WORKERS = 500;
+const MAX_RATE = 5000;
+const DEFAULT_MAX_IN_FLIGHT = 1000;
+const MAX_IN_FLIGHT = 10000;
+const LATE_MS = 10;
+const SAMPLE_INTERVAL_MS = 250;
+const KEEP_REPORTS = 20;
+
+const elapsedMs = (since) => Number(process.hrtime.bigint() - since) / 1e6;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Validate a load test request. Throws with a message suitable for a 400.
+function parseLoadOptions(body) {
+  const durationSec = Number(body.durationSec || 60);
+  const workers = body.workers !== undefined ? parseInt(body.workers, 10) : undefined;
+  const rate = body.rate !== undefined ? Number(body.rate) : undefined;
+  const poolSize = body.poolSize !== undefined ? parseInt(body.poolSize, 10) : undefined;
+  const maxInFlight = body.maxInFlight !== undefined ? Number(body.maxInFlight) : undefined;
+
+  if ((workers === undefined) === (rate === undefined)) {
+    throw new Error('Specify exactly one of "workers" or "rate"');
+  }
+  if (workers !== undefined && !(workers >= 1 && workers <= MAX_WORKERS)) {
+    throw new Error(`"workers" must be between 1 and ${MAX_WORKERS}`);
+  }
+  if (rate !== undefined && !(rate > 0 && rate <= MAX_RATE)) {
+    throw new Error(`"rate" must be greater than 0 and at most ${MAX_RATE} per second`);
+  }
+  if (!(durationSec > 0 && durationSec <= MAX_DURATION_SEC)) {
+    throw new Error(`"durationSec" must be greater than 0 and at most ${MAX_DURATION_SEC}`);
+  }
+  if (poolSize !== undefined && !(poolSize >= 1)) {
+    throw new Error('"poolSize" must be a positive integer');
+  }
+  if (maxInFlight !== undefined && rate === undefined) {
+    throw new Error('"maxInFlight" only applies to "rate" (workers never have more than one operation each)');
+  }
+  if (maxInFlight !== undefined && !(Number.isInteger(maxInFlight) && maxInFlight >= 1 && maxInFlight <= MAX_IN_FLIGHT)) {
+    throw new Error(`"maxInFlight" must be an integer between 1 and ${MAX_IN_FLIGHT}`);
+  }
+
+  return {
+    workers,
+    rate,
+    durationSec,
+    poolSize,
+    maxInFlight: rate !== undefined ? (maxInFlight || DEFAULT_MAX_IN_FLIGHT) : undefined
+  };
+}
+
+// summarize()'s shape (see src/stats.js), read off a histogram
+function summarizeHistogram(histogram) {
+  const summary = histogram.summary();
+  if (!summary) return null;
+  return {
+    count: summary.count,
+    min: round2(summary.min),
+    max: round2(summary.max),
+    avg: round2(summary.avg),
+    p50: round2(summary.p50),
+    p95: round2(summary.p95),
+    p99: round2(summary.p99)
+  };
+}
+
+async function runLoad(pool, driver, workload, options, report) {
+  const latencies = createHistogram();
+  const poolWaits = createHistogram();
+  const errorMessages = new Map(); // message -> { category, count }
+  let inFlight = 0;
+
+  const operation = async () => {
+    const start = process.hrtime.bigint();
+    let client = null;
+    inFlight++;
+    try {
+      client = await pool.connect();
+      poolWaits.record(elapsedMs(start));
+      await driver.run(client, workload);
+      client.release();
+      client = null;
+      latencies.record(elapsedMs(start));
+    } catch (error) {
+      if (client) client.release(error);
+      const entry = errorMessages.get(error.message) || { category: classifyError(error, { stage: client ? 'query' : 'acquire' }), count: 0 };
+      entry.count++;
+      errorMessages.set(error.message, entry);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  const start = process.hrtime.bigint();
+  const durationMs = options.durationSec * 1000;
+
+  const sampler = setInterval(() => {
+    report.poolTimeline.push({
+      tMs: Math.round(elapsedMs(start)),
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+      inFlight
+    });
+  }, SAMPLE_INTERVAL_MS);
+
+  try {
+    if (options.workers) {
+      const worker = async () => {
+        while (elapsedMs(start) < durationMs) {
+          await operation();
+        }
+      };
+      await Promise.all(Array.from({ length: options.workers }, worker));
+    } else {
+      // Open loop: start operations on schedule without waiting for earlier ones
+      const intervalMs = 1000 / options.rate;
+      const pending = new Set();
+      for (let i = 0; i * intervalMs < durationMs; i++) {
+        const delay = i * intervalMs - elapsedMs(start);
+        if (delay > 0) {
+          await sleep(delay);
+        } else {
+          if (-delay > LATE_MS) report.late++;
+          // Behind schedule: yield anyway, so in-flight operations can finish
+          // instead of the loop starving them
+          await new Promise(setImmediate);
+        }
+        // The pool can't keep up; dropping the arrival keeps memory bounded
+        if (pending.size >= options.maxInFlight) {
+          report.dropped++;
+          continue;
+        }
+        const op = operation().then(() => pending.delete(op));
+        pending.add(op);
+      }
+      await Promise.all(pending);
+    }
+  } finally {
+    clearInterval(sampler);
+  }
+
+  const actualSec = elapsedMs(start) / 1000;
+  const queriesPerOperation = workload.steps.reduce((sum, step) => sum + step.statements.length * step.repeat, 0);
+  const successful = latencies.count();
+  report.operations = successful + [...errorMessages.values()].reduce((a, e) => a + e.count, 0);
+  report.successful = successful;
+  report.failed = report.operations - successful;
+  report.actualDurationSec = round2(actualSec);
+  report.opsPerSec = round2(successful / actualSec);
+  report.qps = round2(successful * queriesPerOperation / actualSec);
+  report.latency = summarizeHistogram(latencies);
+  report.poolWait = summarizeHistogram(poolWaits);
+  report.maxWaiting = report.poolTimeline.reduce((max, s) => Math.max(max, s.waiting), 0);
+  report.errors = [...errorMessages].map(([message, { category, count }]) => ({ message, category, count }));
+}
+
+// One load test may run at a time. Reports are kept in memory, newest last.
+// createPool(target, poolSize) builds a pool for the target's driver.
+function createLoadTester({ appType, createPool }) {
+  const reports = [];
+  let running = null;
+  let nextId = 1;
+
+  async function execute(target, options, report) {
+    // Use the target's own pool unless a different size was requested or the
+    // target runs in client mode; then build a temporary pool just for the test.
+    const dedicated = options.poolSize !== undefined || !target.pool;
+    const pool = dedicated ? createPool(target, options.poolSize || target.poolSize) : target.pool;
+    if (dedicated) pool.on('error', () => {});
+
+    const label = options.workers ? `${options.workers} workers` : `${options.rate}/s`;
+    console.log(`[${appType}/${target.name}] Load test #${report.id} started: ${label} for ${options.durationSec}s (pool size ${report.poolSize})`);
+
+    try {
+      await runLoad(pool, getDriver(target.driver), target.workload, options, report);
+      report.status = 'completed';
+      console.log(`[${appType}/${target.name}] Load test #${report.id} completed: ${report.opsPerSec} ops/s (${report.qps} qps), p95=${report.latency ? report.latency.p95 : '-'}ms, poolWait p95=${report.poolWait ? report.poolWait.p95 : '-'}ms, failed=${report.failed}${report.dropped ? `, dropped=${report.dropped}` : ''}`);
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      console.error(`[${appType}/${target.name}] Load test #${report.id} FAILED: ${error.message}`);
+    } finally {
+      report.finishedAt = new Date().toISOString();
+      if (dedicated) await pool.end().catch(() => {});
+      running = null;
+    }
+  }
+
+  // Register a load test and start it; done settles when it has finished
+  function begin(target, options) {
+    if (running) {
+      throw new Error(`Load test #${running.id} is already running`);
+    }
+
+    const report = {
+      id: nextId++,
+      target: target.name,
+      workload: target.workload.name,
+      status: 'running',
+      workers: options.workers || null,
+      rate: options.rate || null,
+      maxInFlight: options.maxInFlight || null,
+      dropped: options.rate ? 0 : null,
+      late: options.rate ? 0 : null,
+      durationSec: options.durationSec,
+      poolSize: options.poolSize || target.poolSize,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      poolTimeline: []
+    };
+    running = report;
+    reports.push(report);
+    if (reports.length > KEEP_REPORTS) reports.shift();
+
+    return { report, done: execute(target, options, report) };
+  }
+
+  return {
+    isRunning: () => running !== null,
+
+    // Starts a load test in the background and returns its (live) report
+    start(target, options) {
+      return begin(target, options).report;
+    },
+
+    // Runs a load test and resolves to its report once it has finished
+    async run(target, options) {
+      const { report, done } = begin(target, options);
+      await done;
+      return report;
+    },
+
+    get: (id) => reports.find(r => r.id === id) || null,
+
+    list: () => reports
+  };
+}
+
+module.exports = { createLoadTester, parseLoadOptions };
@@ -0,0 +1,287 @@
+// Latency measurement of a single target
+//
+// Used by the server's scheduled cycles (src/index.js) and by the headless CLI
+// (src/cli.js). A target is measured either with a fresh connection per
+// measurement (client mode: connect, run the workload, disconnect) or with a
+// connection checked out of the target's persistent pool (pool mode), through
+// the driver for its URL (see src/drivers/). Every measurement is returned as a plain object; failures are returned too, with
+// the error classified (see src/failures.js), rather than thrown, and carries
+// the client-side noise observed while it ran (see src/noise.js).
+
+const net = require('net');
+const { driverFor, getDriver } = require('./drivers');
+const { PHASES, createPhaseTimer } = require('./connection-phases');
+const { failureFields } = require('./failures');
+const { createImpairmentProxy, describeImpairment } = require('./impairment');
+const { createNoiseMonitor } = require('./noise');
+const { runCopy, formatCopy } = require('./copy-throughput');
+
+// Legacy measurement fields derived from the default workload's steps, so the
+// stats, summary and Prometheus output keep working unchanged
+function legacyStepFields(steps) {
+  const fields = {};
+  if (steps.ping) fields.pingLatencyMs = steps.ping.latencyMs;
+  if (steps.longQuery) {
+    fields.longQueryLatencyMs = steps.longQuery.latencyMs;
+    fields.longQueryRows = steps.longQuery.rows;
+  }
+  if (steps.roundTrip) {
+    fields.multiRoundTripLatencyMs = steps.roundTrip.latencyMs;
+    fields.avgRoundTripMs = steps.roundTrip.avgMs;
+  }
+  return fields;
+}
+
+const formatSteps = (steps) => Object.entries(steps)
+  .map(([name, step]) => step.iterations > 1
+    ? `${name}=${step.latencyMs.toFixed(2)}ms (${step.iterations}x, avg ${step.avgMs.toFixed(2)}ms)`
+    : `${name}=${step.latencyMs.toFixed(2)}ms${step.rows > 1 ? ` (${step.rows} rows)` : ''}`)
+  .join(', ');
+
+const formatPhases = (fields) => PHASES
+  .filter(phase => fields[`${phase}LatencyMs`] !== undefined)
+  .map(phase => `${phase}=${fields[`${phase}LatencyMs`].toFixed(2)}`)
+  .join(' ');
+
+// tlsConfig comes from createTlsConfig (see src/tls.js)
+function createMeasurer({ appType, tlsConfig, noiseMonitor = createNoiseMonitor() }) {
+  // Parse the URL and configure SSL (accepts a target or any { url, poolSize })
+  const getDbConfig = ({ url, poolSize, proxy }) => {
+    let { connectionString, ssl } = driverFor(url).tls(tlsConfig, url);
+
+    // Connect through the target's impairment proxy, but keep verifying the
+    // certificate against the real database hostname
+    if (proxy) {
+      const proxied = new URL(connectionString);
+      if (ssl && net.isIP(proxied.hostname) === 0) ssl = { ...ssl, servername: proxied.hostname };
+      proxied.hostname = '127.0.0.1';
+      proxied.port = String(proxy.port());
+      connectionString = proxied.toString();
+    }
+
+    return {
+      connectionString,
+      ssl,
+      max: poolSize,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000
+    };
+  };
+
+  // Route a target through a local impairment proxy (see src/impairment.js). The
+  // proxy starts listening in startProxy().
+  function attachProxy(target) {
+    const url = new URL(target.url);
+    target.proxy = createImpairmentProxy({
+      name: target.name,
+      upstreamHost: url.hostname,
+      upstreamPort: parseInt(url.port || String(getDriver(target.driver).defaultPort), 10),
+      settings: target.impairment
+    });
+  }
+
+  async function startProxy(target) {
+    const port = await target.proxy.start();
+    console.log(`[${appType}/${target.name}] Impairment proxy on 127.0.0.1:${port}: ${describeImpairment(target.impairment)}`);
+  }
+
+  // TLS fields recorded on every successful measurement
+  function tlsFields(target, driver, connection) {
+    const details = driver.tlsDetails(connection);
+    return {
+      sslMode: driver.tls(tlsConfig, target.url).sslMode,
+      tlsProtocol: details ? details.protocol : null,
+      tlsCipher: details ? details.cipher : null
+    };
+  }
+
+  // Measure latency with a new connection each time
+  async function measureLatencyWithClient(target, probe = null) {
+    const driver = getDriver(target.driver);
+    const start = process.hrtime.bigint();
+    const config = getDbConfig(target);
+    // Connect phases are timed on Postgres only: pg can be handed its socket
+    const timer = driver.name === 'postgres'
+      ? createPhaseTimer({ host: new URL(config.connectionString).hostname, ssl: Boolean(config.ssl) })
+      : null;
+    let connection = null;
+
+    try {
+      if (timer) timer.start();
+      connection = await driver.connect(config, { timer });
+      if (timer) timer.ready();
+      const connectTime = process.hrtime.bigint();
+      const phases = timer ? timer.fields() : {};
+      const tls = tlsFields(target, driver, connection);
+
+      const run = await driver.run(connection, target.workload);
+      // The noise window covers the latency measurement, not the bulk COPY after it
+      if (probe) await probe.stop();
+      const copy = target.copy ? await runCopy(connection, target.copy) : {};
+
+      await driver.close(connection);
+
+      const measurement = {
+        timestamp: new Date().toISOString(),
+        target: target.name,
+        driver: driver.name,
+        mode: 'client',
+        workload: run.workload,
+        connectLatencyMs: Number(connectTime - start) / 1e6,
+        ...phases,
+        ...tls,
+        ...legacyStepFields(run.steps),
+        steps: run.steps,
+        queryLatencyMs: run.queryLatencyMs,
+        totalLatencyMs: Number(connectTime - start) / 1e6 + run.queryLatencyMs,
+        ...copy,
+        success: true
+      };
+
+      console.log(`[${appType}/${target.name}] Client mode: connect=${measurement.connectLatencyMs.toFixed(2)}ms${timer ? ` (${formatPhases(phases)})` : ''}, ${formatSteps(run.steps)}, total=${measurement.totalLatencyMs.toFixed(2)}ms${target.copy ? `, ${formatCopy(copy)}` : ''}`);
+
+      return measurement;
+    } catch (error) {
+      const connectPhase = timer ? timer.failedPhase() : null;
+      const failure = failureFields(error, { connectPhase });
+      console.error(`[${appType}/${target.name}] Client mode FAILED${connectPhase ? ` during ${connectPhase}` : ''} (${failure.errorCategory}): ${error.message}`);
+      if (connection) driver.close(connection).catch(() => {});
+      return {
+        timestamp: new Date().toISOString(),
+        target: target.name,
+        driver: driver.name,
+        mode: 'client',
+        ...(timer ? timer.fields() : {}),
+        connectPhase,
+        ...failure,
+        success: false
+      };
+    }
+  }
+
+  // Measure latency using the target's pool (reuses persistent connections)
+  async function measureLatencyWithPool(target, probe = null) {
+    const driver = getDriver(target.driver);
+    const { pool } = target;
+    const start = process.hrtime.bigint();
+    let client = null;
+
+    try {
+      // Get a client from the pool (this is the key metric for pooled connections)
+      client = await pool.connect();
+      const acquireTime = process.hrtime.bigint();
+      const tls = tlsFields(target, driver, client);
+
+      const run = await driver.run(client, target.workload);
+      // The noise window covers the latency measurement, not the bulk COPY after it
+      if (probe) await probe.stop();
+      const copy = target.copy ? await runCopy(client, target.copy) : {};
+
+      // Release client back to pool (NOT disconnect)
+      client.release();
+      client = null;
+
+      const measurement = {
+        timestamp: new Date().toISOString(),
+        target: target.name,
+        driver: driver.name,
+        mode: 'pool',
+        workload: run.workload,
+        poolAcquireMs: Number(acquireTime - start) / 1e6,  // Time to get connection from pool
+        ...tls,
+        ...legacyStepFields(run.steps),
+        steps: run.steps,
+        queryLatencyMs: run.queryLatencyMs,  // Total query time (excludes acquire)
+        totalLatencyMs: Number(acquireTime - start) / 1e6 + run.queryLatencyMs,
+        poolStats: {
+          total: pool.totalCount,
+          idle: pool.idleCount,
+          waiting: pool.waitingCount
+        },
+        ...copy,
+        success: true
+      };
+
+      console.log(`[${appType}/${target.name}] Pool mode: acquire=${measurement.poolAcquireMs.toFixed(2)}ms, ${formatSteps(run.steps)}, total=${measurement.totalLatencyMs.toFixed(2)}ms${target.copy ? `, ${formatCopy(copy)}` : ''} [pool: ${pool.totalCount}/${target.poolSize}]`);
+
+      return measurement;
+    } catch (error) {
+      // Without a client the checkout itself failed
+      const stage = client ? 'query' : 'acquire';
+      const failure = failureFields(error, { stage });
+      console.error(`[${appType}/${target.name}] Pool mode FAILED during ${stage} (${failure.errorCategory}): ${error.message}`);
+      // Discard the connection rather than returning a possibly broken one to the pool
+      if (client) client.release(error);
+      return {
+        timestamp: new Date().toISOString(),
+        target: target.name,
+        driver: driver.name,
+        mode: 'pool',
+        stage,
+        ...failure,
+        success: false
+      };
+    }
+  }
+
+  // Main measurement function (chooses mode based on the target's mode)
+  async function measureLatency(target) {
+    const probe = noiseMonitor.start();
+    const measurement = target.mode === 'pool'
+      ? await measureLatencyWithPool(target, probe)
+      : await measureLatencyWithClient(target, probe);
+    const { noise, noisy, noiseReasons } = await probe.stop();
+    if (noisy) {
+      console.log(`[${appType}/${target.name}] Noisy measurement (${noiseReasons.join(', ')}): event loop delay max=${noise.eventLoopDelayMaxMs}ms, GC=${noise.gcPauseMs}ms, CPU=${noise.cpuPercent}%`);
+    }
+    return { ...measurement, noise, noisy, noiseReasons };
+  }
+
+  // A pool of poolSize connections to a target, from its driver
+  const createPool = (target, poolSize = target.poolSize) =>
+    getDriver(target.driver).createPool(getDbConfig({ ...target, poolSize }));
+
+  // Initialize the pool for a pool-mode target. Any existing pool is closed
+  // first, so this also rebuilds the pool after a mode or size change.
+  async function initializePool(target) {
+    if (target.pool) {
+      const oldPool = target.pool;
+      target.pool = null;
+      await oldPool.end().catch((error) => {
+        console.error(`[${appType}/${target.name}] Closing old pool failed:`, error.message);
+      });
+    }
+    if (target.mode !== 'pool') return;
+
+    console.log(`[${appType}/${target.name}] Initializing connection pool (size: ${target.poolSize})...`);
+    target.pool = createPool(target);
+
+    // Handle pool errors
+    target.pool.on('error', (err) => {
+      console.error(`[${appType}/${target.name}] Pool error:`, err.message);
+    });
+
+    // Test the pool connection
+    try {
+      const client = await target.pool.connect();
+      await getDriver(target.driver).ping(client);
+      client.release();
+      console.log(`[${appType}/${target.name}] Pool initialized and tested successfully`);
+    } catch (error) {
+      console.error(`[${appType}/${target.name}] Pool initialization failed:`, error.message);
+    }
+  }
+
+  return {
+    getDbConfig,
+    createPool,
+    attachProxy,
+    startProxy,
+    initializePool,
+    measureLatencyWithClient,
+    measureLatencyWithPool,
+    measureLatency
+  };
+}
+
+module.exports = { createMeasurer };
@@ -0,0 +1,112 @@
+// Client-side noise during a measurement
+//
+// Timings are taken around awaited queries, so anything that keeps the event
+// loop from running the callbacks on time is counted as latency: blocking work
+// elsewhere in the process, garbage collection, or a throttled vCPU on a small
+// container. Each measurement is annotated with what happened in the process
+// while it ran:
+//
+//   eventLoopDelayMaxMs / eventLoopDelayMeanMs   how late timers fired (perf_hooks
+//                                                monitorEventLoopDelay, 1ms resolution)
+//   gcPauseMs, gcCount                           garbage collection pauses overlapping
+//                                                the measurement
+//   cpuUserMs, cpuSystemMs, cpuPercent           process CPU time, and its share of the
+//                                                measurement's wall time (information only)
+//
+// A measurement is flagged noisy when the event loop delay or GC pause exceeds
+// NOISE_EVENT_LOOP_MS / NOISE_GC_MS. Statistics can then leave noisy
+// measurements out. CPU share is not a noise signal: a fast measurement spends
+// little time waiting on the network, so its own protocol and TLS work keeps
+// the CPU busy for most of it, on loopback almost all of it.
+
+const { monitorEventLoopDelay, performance, PerformanceObserver } = require('perf_hooks');
+
+const DEFAULT_THRESHOLDS = { eventLoopMs: 10, gcMs: 5 };
+const GC_ENTRIES = 200; // recent GC pauses kept to match against measurements
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+function loadNoiseThresholds(env = process.env) {
+  const threshold = (name, fallback) => {
+    const value = env[name] !== undefined ? Number(env[name]) : fallback;
+    if (!(value > 0)) throw new Error(`${name} must be a positive number`);
+    return value;
+  };
+  return {
+    eventLoopMs: threshold('NOISE_EVENT_LOOP_MS', DEFAULT_THRESHOLDS.eventLoopMs),
+    gcMs: threshold('NOISE_GC_MS', DEFAULT_THRESHOLDS.gcMs)
+  };
+}
+
+function createNoiseMonitor({ thresholds = loadNoiseThresholds() } = {}) {
+  // GC entries arrive asynchronously, after the pause; keep the recent ones
+  const gcPauses = [];
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      gcPauses.push({ start: entry.startTime, end: entry.startTime + entry.duration });
+      if (gcPauses.length > GC_ENTRIES) gcPauses.shift();
+    }
+  });
+  observer.observe({ entryTypes: ['gc'] });
+  observer.unref && observer.unref();
+
+  return {
+    thresholds,
+
+    // Start watching; stop() resolves to { noise, noisy, noiseReasons }. Only
+    // the first call ends the window; later calls return the same result.
+    start() {
+      const loop = monitorEventLoopDelay({ resolution: 1 });
+      loop.enable();
+      const start = performance.now();
+      const cpu = process.cpuUsage();
+
+      const finish = async () => {
+        const end = performance.now();
+        const used = process.cpuUsage(cpu);
+        loop.disable();
+        // Let a pending GC notification be delivered first
+        await nextTick();
+
+        let gcPauseMs = 0;
+        let gcCount = 0;
+        for (const pause of gcPauses) {
+          const overlap = Math.min(pause.end, end) - Math.max(pause.start, start);
+          if (overlap > 0) {
+            gcPauseMs += overlap;
+            gcCount++;
+          }
+        }
+
+        const wallMs = end - start;
+        // With no timer having fired yet the histogram is empty (min > max)
+        const sampled = loop.count > 0;
+        const noise = {
+          eventLoopDelayMaxMs: sampled ? round3(loop.max / 1e6) : 0,
+          eventLoopDelayMeanMs: sampled ? round3(loop.mean / 1e6) : 0,
+          gcPauseMs: round3(gcPauseMs),
+          gcCount,
+          cpuUserMs: round3(used.user / 1000),
+          cpuSystemMs: round3(used.system / 1000),
+          cpuPercent: wallMs > 0 ? Math.round((used.user + used.system) / 1000 / wallMs * 1000) / 10 : 0
+        };
+
+        const noiseReasons = [];
+        if (noise.eventLoopDelayMaxMs > thresholds.eventLoopMs) noiseReasons.push('event_loop');
+        if (noise.gcPauseMs > thresholds.gcMs) noiseReasons.push('gc');
+        return { noise, noisy: noiseReasons.length > 0, noiseReasons };
+      };
+
+      let result = null;
+      return {
+        stop() {
+          if (!result) result = finish();
+          return result;
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createNoiseMonitor, loadNoiseThresholds };
@@ -0,0 +1,236 @@
+// PgBouncer compatibility checks
+//
+// In transaction mode (DigitalOcean's connection pools on port 25061) a client
+// only holds a server connection for the length of a transaction. Anything a
+// session leaves behind on its server connection is gone, or worse, shows up
+// in another client's session, once the next transaction lands elsewhere. A
+// check run tests which session-level features survive on a target:
+//
+//   set              SET of a setting outside a transaction
+//   preparedStatement  protocol-level named prepared statement (what drivers
+//                    use for prepared queries, see `protocol: prepared` in
+//                    src/workload.js)
+//   sqlPrepare       SQL PREPARE / EXECUTE
+//   advisoryLock     session-level pg_advisory_lock
+//   listen           LISTEN, then a NOTIFY from another connection
+//   tempTable        temporary table created outside a transaction
+//
+// Each check sets the feature up on connection A, then has connection B open a
+// transaction. PgBouncer hands out the most recently used server connection
+// first, so B usually takes the one A just used and A's next statement runs
+// elsewhere. A then checks whether its state is still there. Every statement
+// reports pg_backend_pid(), so the report shows whether A really changed
+// server connections:
+//
+//   ok            the feature survived
+//   broken        the state was lost (or the statement failed) on A
+//   inconclusive  transaction pooling was detected, but A happened to keep
+//                 its server connection during this check
+//
+// A direct connection (port 25060) or session mode keeps A on its backend, so
+// every check passes there. State left behind on a server connection is cleaned
+// up from B (which sits on it) and from A.
+
+const crypto = require('crypto');
+const { Client } = require('pg');
+const { failureFields } = require('./failures');
+const { dbEndpoint } = require('./experiments');
+
+const KEEP_REPORTS = 20;
+const QUERY_TIMEOUT_MS = 10000;
+const NOTIFY_WAIT_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The last result of a (possibly multi-statement) query
+const lastRow = (result) => [].concat(result).pop().rows[0];
+
+// Every check: setup(A) and verify(A, C) resolve to { pid, ... }; verify's
+// survived says whether the state was still there. cleanup is one statement
+// that never fails, run on B and on A afterwards.
+const CHECKS = [
+  {
+    name: 'set',
+    feature: 'SET outside a transaction',
+    advice: 'Use SET LOCAL inside a transaction, or set it on the role or database (ALTER ROLE ... SET)',
+    setup: async (a, { token }) => lastRow(await a.query(`SET benchmark.pooler_check = '${token}'; SELECT pg_backend_pid() AS pid`)),
+    verify: async (a, { token }) => {
+      const row = lastRow(await a.query("SELECT current_setting('benchmark.pooler_check', true) AS value, pg_backend_pid() AS pid"));
+      return { pid: row.pid, survived: row.value === token };
+    },
+    cleanup: () => 'RESET benchmark.pooler_check'
+  },
+  {
+    name: 'preparedStatement',
+    feature: 'Named prepared statement (protocol level)',
+    advice: 'Use unnamed statements (pg\'s default), or PgBouncer 1.21+ with max_prepared_statements',
+    setup: async (a, { name }) => lastRow(await a.query({ name: `${name}_p`, text: 'SELECT pg_backend_pid() AS pid' })),
+    // pg remembers the statement was parsed, so this only sends Bind/Execute
+    verify: async (a, { name }) => ({ ...lastRow(await a.query({ name: `${name}_p`, text: 'SELECT pg_backend_pid() AS pid' })), survived: true }),
+    cleanup: ({ name }) => deallocate(`${name}_p`)
+  },
+  {
+    name: 'sqlPrepare',
+    feature: 'SQL PREPARE / EXECUTE',
+    advice: 'PgBouncer never tracks SQL-level PREPARE; use the driver\'s protocol-level statements',
+    setup: async (a, { name }) => lastRow(await a.query(`PREPARE ${name}_s AS SELECT pg_backend_pid() AS pid; EXECUTE ${name}_s`)),
+    verify: async (a, { name }) => ({ ...lastRow(await a.query(`EXECUTE ${name}_s`)), survived: true }),
+    cleanup: ({ name }) => deallocate(`${name}_s`)
+  },
+  {
+    name: 'advisoryLock',
+    feature: 'Session-level advisory lock',
+    advice: 'Use pg_advisory_xact_lock inside a transaction',
+    setup: async (a, { key }) => lastRow(await a.query(`SELECT pg_advisory_lock(${key}), pg_backend_pid() AS pid`)),
+    // Unlocking fails (with a warning) on any session that doesn't hold the lock
+    verify: async (a, { key }) => {
+      const row = lastRow(await a.query(`SELECT pg_advisory_unlock(${key}) AS unlocked, pg_backend_pid() AS pid`));
+      return { pid: row.pid, survived: row.unlocked };
+    },
+    cleanup: ({ key }) => `SELECT pg_advisory_unlock(${key})`
+  },
+  {
+    name: 'listen',
+    feature: 'LISTEN / NOTIFY',
+    advice: 'Keep listeners on a direct connection (port 25060)',
+    setup: async (a, { name }) => lastRow(await a.query(`LISTEN ${name}_l; SELECT pg_backend_pid() AS pid`)),
+    verify: async (a, { name }, c) => {
+      let notified = false;
+      const listener = (message) => {
+        if (message.channel === `${name}_l`) notified = true;
+      };
+      a.on('notification', listener);
+      try {
+        await c.query(`NOTIFY ${name}_l`);
+        for (let waited = 0; !notified && waited < NOTIFY_WAIT_MS; waited += 50) await sleep(50);
+        return { ...lastRow(await a.query('SELECT pg_backend_pid() AS pid')), survived: notified };
+      } finally {
+        a.removeListener('notification', listener);
+      }
+    },
+    cleanup: ({ name }) => `UNLISTEN ${name}_l`
+  },
+  {
+    name: 'tempTable',
+    feature: 'Temporary table outside a transaction',
+    advice: 'Create temporary tables with ON COMMIT DROP inside the transaction that uses them, or use a regular table',
+    setup: async (a, { name }) => lastRow(await a.query(`CREATE TEMP TABLE ${name}_t (id int); SELECT pg_backend_pid() AS pid`)),
+    verify: async (a, { name }) => ({ ...lastRow(await a.query(`SELECT count(*), pg_backend_pid() AS pid FROM pg_temp.${name}_t`)), survived: true }),
+    cleanup: ({ name }) => `DROP TABLE IF EXISTS pg_temp.${name}_t`
+  }
+];
+
+// DEALLOCATE fails for a statement the session doesn't have, and B may be on
+// any server connection
+function deallocate(name) {
+  return `DO $$ BEGIN
+    IF EXISTS (SELECT 1 FROM pg_prepared_statements WHERE name = '${name}') THEN EXECUTE 'DEALLOCATE ${name}'; END IF;
+  END $$`;
+}
+
+async function connect(config) {
+  const client = new Client({ ...config, query_timeout: QUERY_TIMEOUT_MS });
+  // A dropped connection fails the pending query anyway
+  client.on('error', () => {});
+  await client.connect();
+  return client;
+}
+
+async function runCheck(check, { a, b, c }, context) {
+  const entry = {
+    name: check.name,
+    feature: check.feature,
+    status: null,
+    setupBackendPid: null,
+    holderBackendPid: null,
+    verifyBackendPid: null,
+    backendChanged: null
+  };
+  let holding = false;
+  try {
+    entry.setupBackendPid = (await check.setup(a, context)).pid;
+
+    entry.holderBackendPid = lastRow(await b.query('BEGIN; SELECT pg_backend_pid() AS pid')).pid;
+    holding = true;
+
+    try {
+      const verified = await check.verify(a, context, c);
+      entry.verifyBackendPid = verified.pid;
+      entry.status = verified.survived ? 'ok' : 'broken';
+    } catch (error) {
+      entry.status = 'broken';
+      Object.assign(entry, failureFields(error, {}));
+    }
+    entry.backendChanged = entry.verifyBackendPid !== null ? entry.verifyBackendPid !== entry.setupBackendPid : null;
+  } catch (error) {
+    // The setup itself failed: the feature can't be used here at all
+    entry.status = 'broken';
+    Object.assign(entry, failureFields(error, {}));
+  } finally {
+    if (holding) await b.query(`${check.cleanup(context)}; COMMIT`).catch(() => b.query('ROLLBACK').catch(() => {}));
+    await a.query(check.cleanup(context)).catch(() => {});
+  }
+  if (entry.status === 'broken') entry.advice = check.advice;
+  return entry;
+}
+
+// Check runs are short and hold three connections of their own. Reports are
+// kept in memory, newest last.
+function createPoolerChecker({ appType, getDbConfig }) {
+  const reports = [];
+  let nextId = 1;
+
+  return {
+    async run(target) {
+      const report = {
+        id: nextId++,
+        target: target.name,
+        ...dbEndpoint(target),
+        status: 'running',
+        transactionPooling: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        checks: []
+      };
+      reports.push(report);
+      if (reports.length > KEEP_REPORTS) reports.shift();
+
+      const clients = [];
+      try {
+        const config = getDbConfig(target);
+        for (let i = 0; i < 3; i++) clients.push(await connect(config));
+        const [a, b, c] = clients;
+
+        for (const check of CHECKS) {
+          const token = crypto.randomBytes(4).toString('hex');
+          const context = { token, name: `bench_check_${token}`, key: crypto.randomBytes(4).readInt32BE() };
+          report.checks.push(await runCheck(check, { a, b, c }, context));
+        }
+
+        // B taking A's server connection, or A moving to another one, is what
+        // transaction pooling looks like
+        report.transactionPooling = report.checks.some(check =>
+          check.backendChanged || (check.holderBackendPid !== null && check.holderBackendPid === check.setupBackendPid));
+        for (const check of report.checks) {
+          if (report.transactionPooling && check.status === 'ok' && check.backendChanged === false) check.status = 'inconclusive';
+        }
+        report.status = 'completed';
+        const broken = report.checks.filter(check => check.status === 'broken');
+        console.log(`[${appType}/${target.name}] Pooler check #${report.id}: ${report.transactionPooling ? 'transaction pooling' : 'no transaction pooling'} detected` +
+          `, ${broken.length > 0 ? `broken: ${broken.map(check => check.name).join(', ')}` : 'every feature works'}`);
+      } catch (error) {
+        report.status = 'failed';
+        Object.assign(report, failureFields(error, {}));
+        console.error(`[${appType}/${target.name}] Pooler check #${report.id} FAILED: ${error.message}`);
+      } finally {
+        await Promise.all(clients.map(client => client.end().catch(() => {})));
+        report.finishedAt = new Date().toISOString();
+      }
+      return report;
+    },
+
+    list: () => reports
+  };
+}
+
+module.exports = { CHECKS, createPoolerChecker };
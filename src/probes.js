@@ -0,0 +1,253 @@
+// Outbound connectivity probes
+//
+// Checks which kinds of egress traffic an app can send (HTTP(S), arbitrary TCP
+// ports, DNS, UDP/STUN). App Platform VPC apps route egress differently from
+// public ones, so the probes can run on a schedule and keep their history
+// instead of being a one-off snapshot.
+//
+// Probes are loaded from PROBES_FILE (JSON or YAML: an array, or { probes: [...] })
+// and default to DEFAULT_PROBES. Each probe has a name, a type and its target:
+//
+//   { name: 'HTTPS (TCP 443)', type: 'https', url: 'https://api.ipify.org?format=json' }
+//   { name: 'TCP 22 (SSH)', type: 'tcp', host: 'github.com', port: 22 }
+//   { name: 'DNS (UDP 53)', type: 'dns', host: 'google.com' }                      system resolver
+//   { name: 'UDP 53 to 8.8.8.8', type: 'dns', host: 'example.com', server: '8.8.8.8' }
+//   { name: 'UDP 19302 (STUN)', type: 'stun', host: 'stun.l.google.com', port: 19302 }
+//   { name: 'UDP 10000', type: 'udp', host: 'meet.jit.si', port: 10000 }            send only
+//
+// A TCP probe for every benchmark target's database host and port is always
+// added, so the database host comes from DATABASE_URL (or BENCHMARK_TARGETS)
+// rather than the probe list. All probes of a run start at once, so a run takes
+// as long as the slowest probe (at most timeoutMs, default PROBE_TIMEOUT_MS).
+
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const yaml = require('js-yaml');
+const { classifyError } = require('./failures');
+const { summarize } = require('./stats');
+const { getDriver } = require('./drivers');
+
+const TYPES = ['http', 'https', 'tcp', 'dns', 'stun', 'udp'];
+const PROBE_TIMEOUT_MS = 3000;
+const MAX_RUNS = 1000; // runs kept in memory, oldest dropped first
+
+const DEFAULT_PROBES = [
+  { name: 'HTTPS (TCP 443)', type: 'https', url: 'https://api.ipify.org?format=json' },
+  { name: 'DNS (UDP 53)', type: 'dns', host: 'google.com' },
+  { name: 'HTTP (TCP 80)', type: 'http', url: 'http://httpbin.org/ip' },
+  { name: 'TCP 22 (SSH)', type: 'tcp', host: 'github.com', port: 22 },
+  { name: 'TCP 587 (SMTP)', type: 'tcp', host: 'smtp.gmail.com', port: 587 },
+  { name: 'UDP 53 to 8.8.8.8', type: 'dns', host: 'example.com', server: '8.8.8.8' },
+  { name: 'TCP 8443', type: 'tcp', host: 'www.cloudflare.com', port: 8443 },
+  { name: 'TCP 21 (FTP)', type: 'tcp', host: 'ftp.debian.org', port: 21 },
+  { name: 'UDP 19302 (STUN)', type: 'stun', host: 'stun.l.google.com', port: 19302 },
+  { name: 'UDP 3478 (STUN)', type: 'stun', host: 'stun.stunprotocol.org', port: 3478 },
+  { name: 'UDP 443 (Jitsi TURN)', type: 'stun', host: 'meet-jit-si-turnrelay.jitsi.net', port: 443 },
+  { name: 'UDP 3478 (Twilio STUN)', type: 'stun', host: 'global.stun.twilio.com', port: 3478 },
+  { name: 'UDP 19305 (Google STUN alt)', type: 'stun', host: 'stun.l.google.com', port: 19305 },
+  { name: 'UDP 10000 (Jitsi JVB)', type: 'udp', host: 'meet.jit.si', port: 10000 }
+];
+
+const timeoutError = () => Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' });
+
+function normalizeProbe(raw, index, source) {
+  const name = raw.name || `probe-${index + 1}`;
+  if (!TYPES.includes(raw.type)) {
+    throw new Error(`${source}: probe "${name}" has invalid type "${raw.type}" (expected one of ${TYPES.join(', ')})`);
+  }
+  if (raw.type === 'http' || raw.type === 'https') {
+    if (!raw.url) throw new Error(`${source}: probe "${name}" needs a "url"`);
+  } else if (!raw.host) {
+    throw new Error(`${source}: probe "${name}" needs a "host"`);
+  }
+  if (['tcp', 'stun', 'udp'].includes(raw.type) && !(parseInt(raw.port, 10) > 0)) {
+    throw new Error(`${source}: probe "${name}" needs a "port"`);
+  }
+
+  const probe = { name, type: raw.type };
+  if (raw.url) probe.url = raw.url;
+  if (raw.host) probe.host = raw.host;
+  if (raw.port) probe.port = parseInt(raw.port, 10);
+  if (raw.server) probe.server = raw.server;
+  probe.timeoutMs = parseInt(raw.timeoutMs || PROBE_TIMEOUT_MS, 10);
+  return probe;
+}
+
+// Probe list from PROBES_FILE (or the defaults), plus one TCP probe per distinct
+// database host:port among the targets
+function loadProbes({ env = process.env, targets = [] } = {}) {
+  let raw = DEFAULT_PROBES;
+  const source = env.PROBES_FILE || 'default probes';
+  if (env.PROBES_FILE) {
+    const contents = fs.readFileSync(env.PROBES_FILE, 'utf8');
+    const parsed = /\.ya?ml$/i.test(env.PROBES_FILE) ? yaml.load(contents) : JSON.parse(contents);
+    raw = Array.isArray(parsed) ? parsed : (parsed && parsed.probes);
+    if (!Array.isArray(raw)) {
+      throw new Error(`${env.PROBES_FILE}: expected an array of probes or { "probes": [...] }`);
+    }
+  }
+
+  const probes = raw.map((p, index) => normalizeProbe(p, index, source));
+
+  const seen = new Set();
+  for (const target of targets) {
+    const url = new URL(target.url);
+    const port = parseInt(url.port || String(getDriver(target.driver).defaultPort), 10);
+    const key = `${url.hostname}:${port}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    probes.push(normalizeProbe({ name: `TCP ${port} (database: ${target.name})`, type: 'tcp', host: url.hostname, port }, probes.length, 'targets'));
+  }
+
+  const names = new Set();
+  for (const probe of probes) {
+    if (names.has(probe.name)) throw new Error(`Duplicate probe name "${probe.name}"`);
+    names.add(probe.name);
+  }
+  return probes;
+}
+
+const httpGet = (probe) => new Promise((resolve, reject) => {
+  const lib = probe.type === 'https' ? https : http;
+  const req = lib.get(probe.url, { timeout: probe.timeoutMs }, (res) => {
+    res.resume();
+    res.on('end', () => resolve({ response: `HTTP ${res.statusCode}` }));
+  });
+  req.on('error', reject);
+  req.on('timeout', () => { req.destroy(); reject(timeoutError()); });
+});
+
+const tcpConnect = (probe) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host: probe.host, port: probe.port, timeout: probe.timeoutMs });
+  socket.on('connect', () => { socket.destroy(); resolve({}); });
+  socket.on('error', (e) => { socket.destroy(); reject(e); });
+  socket.on('timeout', () => { socket.destroy(); reject(timeoutError()); });
+});
+
+async function dnsResolve(probe) {
+  const resolver = new dns.Resolver({ timeout: probe.timeoutMs, tries: 1 });
+  if (probe.server) resolver.setServers([probe.server]);
+  const addresses = await resolver.resolve4(probe.host);
+  return { result: addresses };
+}
+
+// Send one datagram and wait for a reply. STUN probes send a Binding Request
+// (type 0x0001, magic cookie 0x2112A442, random transaction id) and expect a
+// reply; plain UDP probes only check that the datagram could be sent, since
+// no response is expected.
+const udpSend = (probe) => new Promise((resolve, reject) => {
+  const socket = dgram.createSocket('udp4');
+  const stun = probe.type === 'stun';
+  const timer = setTimeout(() => {
+    socket.close();
+    if (stun) reject(timeoutError());
+    else resolve({ status: 'SENT', note: 'UDP sent successfully (no echo expected)' });
+  }, probe.timeoutMs);
+
+  socket.on('message', (msg) => {
+    clearTimeout(timer);
+    socket.close();
+    // 0x0101 = Binding Success Response
+    const stunResponse = msg.length >= 20 && msg.readUInt16BE(0) === 0x0101;
+    resolve({ response: stunResponse ? 'STUN_RESPONSE' : 'UDP_RESPONSE' });
+  });
+
+  socket.on('error', (err) => {
+    clearTimeout(timer);
+    socket.close();
+    reject(err);
+  });
+
+  let payload = Buffer.from('test');
+  if (stun) {
+    payload = Buffer.alloc(20);
+    payload.writeUInt16BE(0x0001, 0);
+    payload.writeUInt16BE(0x0000, 2);
+    payload.writeUInt32BE(0x2112A442, 4);
+    for (let i = 8; i < 20; i++) payload[i] = Math.floor(Math.random() * 256);
+  }
+  socket.send(payload, probe.port, probe.host);
+});
+
+const RUNNERS = { http: httpGet, https: httpGet, tcp: tcpConnect, dns: dnsResolve, stun: udpSend, udp: udpSend };
+
+const describeTarget = (probe) => probe.url || (probe.server
+  ? `${probe.host} via ${probe.server}`
+  : probe.port ? `${probe.host}:${probe.port}` : probe.host);
+
+async function runProbe(probe) {
+  const start = process.hrtime.bigint();
+  const base = { test: probe.name, type: probe.type, target: describeTarget(probe) };
+  try {
+    const { status, ...details } = await RUNNERS[probe.type](probe);
+    return { ...base, status: status || 'OK', ...details, latencyMs: Number(process.hrtime.bigint() - start) / 1e6 };
+  } catch (error) {
+    return { ...base, status: 'FAILED', error: error.message, errorCategory: classifyError(error) };
+  }
+}
+
+function createProber({ appType, probes, maxRuns = MAX_RUNS }) {
+  const runs = [];
+
+  return {
+    probes,
+
+    // Run every probe in parallel and record the run
+    async run({ trigger = 'manual' } = {}) {
+      const timestamp = new Date().toISOString();
+      const tests = await Promise.all(probes.map(runProbe));
+      const run = {
+        timestamp,
+        trigger,
+        tests,
+        // sent: UDP datagrams that went out without a reply to confirm them;
+        // passed + failed + sent = total
+        summary: {
+          passed: tests.filter(t => t.status === 'OK').length,
+          failed: tests.filter(t => t.status === 'FAILED').length,
+          sent: tests.filter(t => t.status === 'SENT').length,
+          total: tests.length
+        }
+      };
+
+      runs.push(run);
+      if (runs.length > maxRuns) runs.shift();
+      const failedNames = tests.filter(t => t.status === 'FAILED').map(t => t.test);
+      console.log(`[${appType}] Outbound probes: ${run.summary.passed}/${run.summary.total} OK` +
+        `${run.summary.sent > 0 ? `, ${run.summary.sent} sent without reply` : ''}` +
+        `${failedNames.length > 0 ? `, failed: ${failedNames.join(', ')}` : ''}`);
+      return run;
+    },
+
+    // Recorded runs, oldest first; probe limits each run to that probe's result
+    history({ probe } = {}) {
+      if (!probe) return runs;
+      return runs.map(run => ({ timestamp: run.timestamp, trigger: run.trigger, ...run.tests.find(t => t.test === probe) }));
+    },
+
+    // Per-probe success rate, latency and last status over the recorded runs
+    summary() {
+      return probes.map(probe => {
+        const results = runs.map(run => run.tests.find(t => t.test === probe.name)).filter(Boolean);
+        const reached = results.filter(r => r.status !== 'FAILED');
+        const last = results[results.length - 1];
+        return {
+          name: probe.name,
+          type: probe.type,
+          target: describeTarget(probe),
+          runs: results.length,
+          successRate: results.length > 0 ? Math.round(reached.length / results.length * 10000) / 100 : null,
+          latency: reached.length > 0 ? summarize(reached.map(r => r.latencyMs)) : null,
+          lastStatus: last ? last.status : null,
+          lastError: last && last.error ? last.error : null
+        };
+      });
+    }
+  };
+}
+
+module.exports = { DEFAULT_PROBES, loadProbes, createProber };
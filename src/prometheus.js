@@ -0,0 +1,139 @@
+// Prometheus exposition for GET /metrics/prometheus
+//
+// Every measurement is observed into real histograms (in seconds, as Prometheus
+// expects) instead of the pre-formatted strings the JSON endpoints return. All
+// series carry app_type (APP_TYPE), target, driver and mode labels so VPC and
+// public apps can be graphed side by side. The pg_benchmark_ prefix predates
+// the other drivers (see src/drivers/) and is kept so existing dashboards keep
+// working; filter on driver to tell them apart. Histograms and counters start
+// from zero on every restart, which rate() and histogram_quantile() handle
+// natively.
+
+const client = require('prom-client');
+
+// 0.25ms .. 5s: private-network pings sit at the low end, cold TLS connects and
+// the 1000-row query at the high end
+const LATENCY_BUCKETS = [0.00025, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const LABELS = ['app_type', 'target', 'driver', 'mode'];
+
+// Measurement field -> histogram name and help text
+const LATENCY_PHASES = [
+  { field: 'connectLatencyMs', name: 'connect', help: 'Time to open a new connection (client mode)' },
+  { field: 'dnsLatencyMs', name: 'connect_dns', help: 'Connect phase: DNS lookup (client mode)' },
+  { field: 'tcpConnectLatencyMs', name: 'connect_tcp', help: 'Connect phase: TCP handshake (client mode)' },
+  { field: 'sslRequestLatencyMs', name: 'connect_ssl_request', help: 'Connect phase: SSLRequest round trip (client mode, Postgres)' },
+  { field: 'tlsHandshakeLatencyMs', name: 'connect_tls', help: 'Connect phase: TLS handshake (client mode)' },
+  { field: 'authLatencyMs', name: 'connect_auth', help: 'Connect phase: startup and authentication (client mode)' },
+  { field: 'poolAcquireMs', name: 'pool_acquire', help: 'Time to check a connection out of the pool (pool mode)' },
+  { field: 'pingLatencyMs', name: 'ping', help: 'Ping latency (the driver\'s cheapest round trip, e.g. SELECT 1 or PING)' },
+  { field: 'longQueryLatencyMs', name: 'long_query', help: '1000-row bulk read latency' },
+  { field: 'avgRoundTripMs', name: 'round_trip', help: 'Average latency of the 10 sequential round trips' },
+  { field: 'totalLatencyMs', name: 'total', help: 'Connect/acquire plus all queries' },
+  { field: 'correctedTotalLatencyMs', name: 'corrected_total', help: 'Total latency measured from the intended start (coordinated-omission corrected)' },
+  { field: 'copyOutLatencyMs', name: 'copy_out', help: 'COPY ... TO STDOUT duration (Postgres targets with copy settings)' },
+  { field: 'copyInLatencyMs', name: 'copy_in', help: 'COPY ... FROM STDIN duration (Postgres targets with copy settings)' }
+];
+
+// 100 KB/s .. 1 GB/s for COPY throughput
+const THROUGHPUT_BUCKETS = [1e5, 2.5e5, 5e5, 1e6, 2.5e6, 5e6, 1e7, 2.5e7, 5e7, 1e8, 2.5e8, 5e8, 1e9];
+
+function createPrometheusMetrics({ appType, targets }) {
+  const registry = new client.Registry();
+
+  const histograms = LATENCY_PHASES.map(phase => ({
+    field: phase.field,
+    histogram: new client.Histogram({
+      name: `pg_benchmark_${phase.name}_seconds`,
+      help: phase.help,
+      labelNames: LABELS,
+      buckets: LATENCY_BUCKETS,
+      registers: [registry]
+    })
+  }));
+
+  const steps = new client.Histogram({
+    name: 'pg_benchmark_step_seconds',
+    help: 'Workload step latency, average per iteration',
+    labelNames: [...LABELS, 'workload', 'step'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+  });
+
+  const copyThroughput = new client.Histogram({
+    name: 'pg_benchmark_copy_throughput_bytes_per_second',
+    help: 'COPY throughput by direction (out = TO STDOUT, in = FROM STDIN)',
+    labelNames: [...LABELS, 'direction'],
+    buckets: THROUGHPUT_BUCKETS,
+    registers: [registry]
+  });
+
+  const measurements = new client.Counter({
+    name: 'pg_benchmark_measurements_total',
+    help: 'Benchmark measurements by outcome',
+    labelNames: [...LABELS, 'result'],
+    registers: [registry]
+  });
+
+  const failures = new client.Counter({
+    name: 'pg_benchmark_failures_total',
+    help: 'Failed measurements by error category (see src/failures.js)',
+    labelNames: [...LABELS, 'category'],
+    registers: [registry]
+  });
+
+  // Pool gauges are read live at scrape time, from the same pool counters
+  // measureLatencyWithPool records in poolStats
+  new client.Gauge({
+    name: 'pg_benchmark_pool_connections',
+    help: 'Pool connections by state (total, idle, waiting)',
+    labelNames: [...LABELS, 'state'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const target of targets) {
+        if (!target.pool) continue;
+        const labels = { app_type: appType, target: target.name, driver: target.driver, mode: target.mode };
+        this.set({ ...labels, state: 'total' }, target.pool.totalCount);
+        this.set({ ...labels, state: 'idle' }, target.pool.idleCount);
+        this.set({ ...labels, state: 'waiting' }, target.pool.waitingCount);
+      }
+    }
+  });
+
+  // Initialise the counters so failure series exist (as 0) before the first failure
+  for (const target of targets) {
+    for (const result of ['success', 'failure']) {
+      measurements.inc({ app_type: appType, target: target.name, driver: target.driver, mode: target.mode, result }, 0);
+    }
+  }
+
+  return {
+    contentType: registry.contentType,
+
+    observe(result) {
+      const labels = { app_type: appType, target: result.target, driver: result.driver, mode: result.mode };
+      measurements.inc({ ...labels, result: result.success ? 'success' : 'failure' });
+      if (!result.success) {
+        failures.inc({ ...labels, category: result.errorCategory || 'unknown' });
+        return;
+      }
+
+      for (const { field, histogram } of histograms) {
+        if (result[field] !== undefined) {
+          histogram.observe(labels, result[field] / 1000);
+        }
+      }
+      for (const [step, timing] of Object.entries(result.steps || {})) {
+        steps.observe({ ...labels, workload: result.workload, step }, timing.avgMs / 1000);
+      }
+      if (typeof result.copyOutMBps === 'number') copyThroughput.observe({ ...labels, direction: 'out' }, result.copyOutMBps * 1e6);
+      if (typeof result.copyInMBps === 'number') copyThroughput.observe({ ...labels, direction: 'in' }, result.copyInMBps * 1e6);
+    },
+
+    render() {
+      return registry.metrics();
+    }
+  };
+}
+
+module.exports = { createPrometheusMetrics };
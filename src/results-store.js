@@ -0,0 +1,302 @@
+// Results stores
+//
+// runBenchmark appends every measurement to a results store, and the /metrics
+// endpoints read back from it. Each store exposes the same async interface:
+//
+//   init()            prepare the backend (load files, create tables)
+//   append(result)    persist one measurement
+//   list(filter)      measurements in insertion order; filter.targets limits
+//                     the result to the given target names, filter.segment to
+//                     one configuration segment (see src/segments.js),
+//                     filter.experiment to one experiment (see
+//                     src/experiments.js), and filter.since/until (epoch ms)
+//                     to a time range
+//   iterate(filter)   the same measurements as an async iterable, read a page
+//                     at a time, for exports too large to hold at once
+//   count()           total number of stored measurements
+//   close()           release files or connections
+//
+// Backends are selected with RESULTS_STORE:
+//   memory   (default) in-process array, trimmed per target, lost on restart
+//   file     append-only NDJSON file at RESULTS_FILE, newest results cached
+//   postgres JSONB rows in RESULTS_TABLE of RESULTS_DATABASE_URL
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Pool } = require('pg');
+
+const ITERATE_PAGE_SIZE = 1000;
+const FILE_CACHE_RESULTS = 20000; // a few days of a few targets at 45s intervals
+
+const matchesTime = (result, { since, until }) => {
+  const time = new Date(result.timestamp).getTime();
+  return (typeof since !== 'number' || time >= since) && (typeof until !== 'number' || time < until);
+};
+
+const matchesFilter = (result, filter = {}) =>
+  (!filter.targets || filter.targets.includes(result.target)) &&
+  (!filter.segment || result.segment === filter.segment) &&
+  (!filter.experiment || result.experiment === filter.experiment) &&
+  matchesTime(result, filter);
+
+// The in-memory stores iterate over a copy of the array, which the memory
+// store trims from the front while appending
+async function* iterateArray(results, filter) {
+  for (const result of results.slice()) {
+    if (matchesFilter(result, filter)) yield result;
+  }
+}
+
+function createMemoryStore({ maxResultsPerTarget }) {
+  const results = [];
+  const counts = new Map();
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async append(result) {
+      results.push(result);
+      counts.set(result.target, (counts.get(result.target) || 0) + 1);
+
+      // Keep only the last maxResultsPerTarget results for each target
+      if (counts.get(result.target) > maxResultsPerTarget) {
+        const index = results.findIndex(r => r.target === result.target);
+        results.splice(index, 1);
+        counts.set(result.target, counts.get(result.target) - 1);
+      }
+    },
+
+    async list(filter) {
+      return results.filter(r => matchesFilter(r, filter));
+    },
+
+    iterate: (filter) => iterateArray(results, filter),
+
+    async count() {
+      return results.length;
+    },
+
+    async close() {}
+  };
+}
+
+// The file store keeps the newest maxCached measurements in memory as well, so
+// recent windows never have to re-parse the file. A read that reaches back past
+// them (no since, or a since before the newest evicted measurement) streams
+// the file instead.
+function createFileStore({ filePath, maxCached = FILE_CACHE_RESULTS }) {
+  const cached = [];
+  let total = 0;
+  let evictedUntil = null; // newest timestamp (epoch ms) no longer cached
+
+  const cache = (result) => {
+    cached.push(result);
+    // Trim in batches rather than shifting the array on every append
+    if (cached.length > maxCached * 1.1) {
+      for (const evicted of cached.splice(0, cached.length - maxCached)) {
+        const time = new Date(evicted.timestamp).getTime();
+        if (evictedUntil === null || time > evictedUntil) evictedUntil = time;
+      }
+    }
+  };
+
+  const cacheCovers = (filter = {}) => evictedUntil === null ||
+    (typeof filter.since === 'number' && filter.since > evictedUntil);
+
+  // Every readable line of the file, in order; onSkipped counts the others
+  async function* readFile(onSkipped = () => {}) {
+    let stream;
+    try {
+      stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line
+          onSkipped();
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      if (stream) stream.destroy();
+    }
+  }
+
+  async function* iterate(filter) {
+    if (cacheCovers(filter)) {
+      yield* iterateArray(cached, filter);
+      return;
+    }
+    for await (const result of readFile()) {
+      if (matchesFilter(result, filter)) yield result;
+    }
+  }
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let skipped = 0;
+      for await (const result of readFile(() => skipped++)) {
+        cache(result);
+        total++;
+      }
+      if (skipped > 0) {
+        console.warn(`Results file ${filePath}: skipped ${skipped} unreadable line(s)`);
+      }
+    },
+
+    async append(result) {
+      await fs.promises.appendFile(filePath, JSON.stringify(result) + '\n');
+      cache(result);
+      total++;
+    },
+
+    async list(filter) {
+      if (cacheCovers(filter)) return cached.filter(r => matchesFilter(r, filter));
+      const results = [];
+      for await (const result of iterate(filter)) results.push(result);
+      return results;
+    },
+
+    iterate,
+
+    async count() {
+      return total;
+    },
+
+    async close() {}
+  };
+}
+
+function createPostgresStore({ dbConfig, table }) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid RESULTS_TABLE name: ${table}`);
+  }
+  let pool = null;
+
+  return {
+    name: 'postgres',
+
+    async init() {
+      pool = new Pool(dbConfig);
+      pool.on('error', (err) => {
+        console.error('Results store pool error:', err.message);
+      });
+
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id BIGSERIAL PRIMARY KEY,
+          recorded_at TIMESTAMPTZ NOT NULL,
+          target TEXT,
+          success BOOLEAN NOT NULL,
+          data JSONB NOT NULL
+        )
+      `);
+      await pool.query(`CREATE INDEX IF NOT EXISTS ${table}_target_idx ON ${table} (target, id)`);
+    },
+
+    async append(result) {
+      await pool.query(
+        `INSERT INTO ${table} (recorded_at, target, success, data) VALUES ($1, $2, $3, $4)`,
+        [result.timestamp, result.target, result.success, result]
+      );
+    },
+
+    async list(filter = {}) {
+      const { where, params } = whereClause(filter);
+      const { rows } = await pool.query(`SELECT data FROM ${table} ${where} ORDER BY id`, params);
+      return rows.map(r => r.data);
+    },
+
+    // Keyset pagination on id, so each page is an index range scan and rows
+    // appended meanwhile come last
+    async* iterate(filter = {}) {
+      let lastId = 0;
+      for (;;) {
+        const { where, params } = whereClause(filter, lastId);
+        const { rows } = await pool.query(`SELECT id, data FROM ${table} ${where} ORDER BY id LIMIT ${ITERATE_PAGE_SIZE}`, params);
+        for (const row of rows) yield row.data;
+        if (rows.length < ITERATE_PAGE_SIZE) return;
+        lastId = rows[rows.length - 1].id;
+      }
+    },
+
+    async count() {
+      const { rows } = await pool.query(`SELECT count(*)::int AS count FROM ${table}`);
+      return rows[0].count;
+    },
+
+    async close() {
+      if (pool) await pool.end();
+    }
+  };
+}
+
+// WHERE clause and parameters for a list() filter, optionally after an id
+function whereClause(filter, afterId = null) {
+  const conditions = [];
+  const params = [];
+  if (filter.targets) {
+    params.push(filter.targets);
+    conditions.push(`target = ANY($${params.length})`);
+  }
+  if (filter.segment) {
+    params.push(filter.segment);
+    conditions.push(`data->>'segment' = $${params.length}`);
+  }
+  if (filter.experiment) {
+    params.push(filter.experiment);
+    conditions.push(`data->>'experiment' = $${params.length}`);
+  }
+  if (typeof filter.since === 'number') {
+    params.push(new Date(filter.since));
+    conditions.push(`recorded_at >= $${params.length}`);
+  }
+  if (typeof filter.until === 'number') {
+    params.push(new Date(filter.until));
+    conditions.push(`recorded_at < $${params.length}`);
+  }
+  if (afterId !== null) {
+    params.push(afterId);
+    conditions.push(`id > $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return { where, params };
+}
+
+// Build the store selected by the environment. dbConfig is a function that turns
+// a connection string into pg options, so the postgres store uses the same SSL
+// handling as the benchmark targets.
+function createResultsStore({ env = process.env, maxResultsPerTarget, dbConfig }) {
+  const type = env.RESULTS_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore({ maxResultsPerTarget });
+    case 'file':
+      return createFileStore({ filePath: env.RESULTS_FILE || './data/results.ndjson' });
+    case 'postgres': {
+      const url = env.RESULTS_DATABASE_URL || env.DATABASE_URL;
+      if (!url) {
+        throw new Error('RESULTS_STORE=postgres requires RESULTS_DATABASE_URL or DATABASE_URL');
+      }
+      return createPostgresStore({
+        dbConfig: dbConfig(url),
+        table: env.RESULTS_TABLE || 'benchmark_results'
+      });
+    }
+    default:
+      throw new Error(`Unknown RESULTS_STORE: ${type} (expected memory, file or postgres)`);
+  }
+}
+
+module.exports = { createResultsStore };
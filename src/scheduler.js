@@ -0,0 +1,158 @@
+// Open-loop benchmark scheduler
+//
+// setInterval fires regardless of whether the previous cycle finished, and a
+// stalled cycle silently pushes later samples back - the queueing delay it
+// causes never shows up in the numbers (coordinated omission). This scheduler
+// instead lays out an intended timeline up front:
+//
+//   fixed     one cycle every intervalMs
+//   poisson   exponentially distributed gaps with mean intervalMs
+//
+// Cycles never overlap. When a cycle overruns, the next one starts as soon as
+// it finishes, and the run callback is told both the intended and the actual
+// start time, so the delay can be added back onto the measured latency. If the
+// scheduler falls more than maxLagIntervals behind (e.g. after a long outage or
+// the process being suspended), the missed slots are counted and skipped rather
+// than replayed back to back.
+//
+// Everything that touches the targets between cycles (manual runs, mode
+// switches) goes through exclusive(), which queues it behind the cycle in
+// progress.
+
+const { performance } = require('perf_hooks');
+
+const ARRIVALS = ['fixed', 'poisson'];
+
+// Wall-clock milliseconds with sub-millisecond resolution
+const nowMs = () => performance.timeOrigin + performance.now();
+
+function createScheduler({ intervalMs, arrival = 'fixed', maxLagIntervals = 10, run }) {
+  // intervalMs and arrival can be changed later through setTiming()
+  if (!ARRIVALS.includes(arrival)) {
+    throw new Error(`Unknown arrival process "${arrival}" (expected ${ARRIVALS.join(' or ')})`);
+  }
+
+  let running = false;
+  let generation = 0; // bumped on stop so a loop still inside run() exits afterwards
+  let sequence = 0;
+  let skipped = 0;
+  let nextStart = null;
+  let wake = null;
+  let timer = null;
+  let chain = Promise.resolve();
+
+  // Run fn after everything queued before it has finished
+  const exclusive = (fn) => {
+    const result = chain.then(fn);
+    chain = result.catch(() => {});
+    return result;
+  };
+
+  const nextGap = () => arrival === 'poisson'
+    ? -Math.log(1 - Math.random()) * intervalMs
+    : intervalMs;
+
+  const sleepUntil = (time) => new Promise((resolve) => {
+    wake = resolve;
+    timer = setTimeout(resolve, Math.max(0, time - nowMs()));
+  });
+
+  async function loop(gen) {
+    nextStart = nowMs();
+
+    while (gen === generation) {
+      await sleepUntil(nextStart);
+      if (gen !== generation) break;
+
+      await exclusive(async () => {
+        if (gen !== generation) return;
+
+        let actualStart = nowMs();
+        const lag = actualStart - nextStart;
+        if (lag > maxLagIntervals * intervalMs) {
+          const missed = Math.floor(lag / intervalMs);
+          skipped += missed;
+          nextStart += missed * intervalMs;
+          console.warn(`Scheduler fell ${(lag / 1000).toFixed(1)}s behind; skipped ${missed} intended cycle(s)`);
+          actualStart = nowMs();
+        }
+
+        const tick = {
+          sequence: sequence++,
+          intendedStart: nextStart,
+          actualStart,
+          delayMs: Math.max(0, actualStart - nextStart)
+        };
+
+        try {
+          await run(tick);
+        } catch (error) {
+          console.error(`Scheduled cycle ${tick.sequence} failed: ${error.message}`);
+        }
+      });
+
+      if (gen !== generation) break;
+      nextStart += nextGap();
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    loop(++generation);
+  }
+
+  function stop() {
+    running = false;
+    generation++;
+    clearTimeout(timer);
+    if (wake) wake();
+  }
+
+  return {
+    start,
+    stop,
+
+    // Run one cycle now, outside the timeline (queued behind a running cycle)
+    runNow() {
+      return exclusive(() => {
+        const now = nowMs();
+        return run({ sequence: sequence++, intendedStart: now, actualStart: now, delayMs: 0, manual: true });
+      });
+    },
+
+    // Change the timeline. A running scheduler restarts on the new timeline
+    // (with an immediate first cycle).
+    setTiming(timing) {
+      const nextArrival = timing.arrival !== undefined ? timing.arrival : arrival;
+      if (!ARRIVALS.includes(nextArrival)) {
+        throw new Error(`Unknown arrival process "${nextArrival}" (expected ${ARRIVALS.join(' or ')})`);
+      }
+      if (timing.intervalMs !== undefined && !(timing.intervalMs > 0)) {
+        throw new Error('Interval must be a positive number');
+      }
+
+      arrival = nextArrival;
+      if (timing.intervalMs !== undefined) intervalMs = timing.intervalMs;
+      if (running) {
+        stop();
+        start();
+      }
+    },
+
+    exclusive,
+
+    timing: () => ({ intervalMs, arrival }),
+
+    status: () => ({
+      running,
+      arrival,
+      intervalMs,
+      cycles: sequence,
+      skippedCycles: skipped,
+      nextIntendedStart: running && nextStart ? new Date(nextStart).toISOString() : null
+    })
+  };
+}
+
+module.exports = { ARRIVALS, createScheduler };
@@ -0,0 +1,54 @@
+// Result segments
+//
+// Every measurement is tagged with the segment it was taken in, so statistics
+// from different configurations never mix. A segment is identified by a hash
+// of the benchmark configuration (targets, their modes, pool sizes, workloads
+// and COPY settings, plus the schedule). Changing the configuration at runtime starts
+// a new segment; restarting with the same configuration, or switching back to
+// an earlier one, continues the matching segment.
+
+const crypto = require('crypto');
+
+// The configuration that decides whether two measurements are comparable.
+// URLs are included (they pick host and port) but only ever end up hashed.
+function describeConfig({ targets, intervalMs, arrival }) {
+  return {
+    intervalMs,
+    arrival,
+    targets: targets.map(t => ({
+      name: t.name,
+      mode: t.mode,
+      poolSize: t.mode === 'pool' ? t.poolSize : null,
+      workload: t.workload.name,
+      // Left out (rather than null) without a proxy, so older segment ids still match
+      impairment: t.impairment || undefined,
+      copy: t.copy || undefined
+    }))
+  };
+}
+
+function segmentId({ targets, intervalMs, arrival }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(describeConfig({ targets, intervalMs, arrival })));
+  hash.update(JSON.stringify(targets.map(t => t.url)));
+  return `seg-${hash.digest('hex').slice(0, 10)}`;
+}
+
+// Summarise the segments found in a list of results, oldest first
+function listSegments(results) {
+  const segments = new Map();
+  for (const r of results) {
+    if (!r.segment) continue;
+    let segment = segments.get(r.segment);
+    if (!segment) {
+      segment = { id: r.segment, label: r.segmentLabel || null, firstMeasurement: r.timestamp, lastMeasurement: r.timestamp, measurements: 0, targets: [] };
+      segments.set(r.segment, segment);
+    }
+    segment.lastMeasurement = r.timestamp;
+    segment.measurements++;
+    if (!segment.targets.includes(r.target)) segment.targets.push(r.target);
+  }
+  return [...segments.values()];
+}
+
+module.exports = { describeConfig, segmentId, listSegments };
@@ -0,0 +1,31 @@
+// Shared statistics helpers
+
+// Calculate percentile
+function percentile(arr, p) {
+  if (arr.length === 0) return 0;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, index)];
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Numeric latency summary (ms, rounded to 0.01) for reports that are consumed
+// by code rather than read on screen
+function summarize(arr) {
+  if (arr.length === 0) return null;
+  // Sort once; load tests can produce more samples than Math.min(...arr) can spread
+  const sorted = [...arr].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    min: round2(sorted[0]),
+    max: round2(sorted[sorted.length - 1]),
+    avg: round2(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    p50: round2(at(50)),
+    p95: round2(at(95)),
+    p99: round2(at(99))
+  };
+}
+
+module.exports = { percentile, round2, summarize };
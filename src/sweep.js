@@ -0,0 +1,263 @@
+// Configuration sweep experiments
+//
+// Steps one target through a list of settings and measures each in turn, so
+// choosing a pool size, or client vs pool mode, or PgBouncer session vs
+// transaction pooling, takes one run instead of a redeploy per value:
+//
+//   { "target": "default", "matrix": { "mode": ["pool"], "poolSize": [1, 2, 5, 10, 20] }, "samples": 30 }
+//   { "target": "bouncer", "matrix": { "urlEnv": ["PGBOUNCER_SESSION_URL", "PGBOUNCER_TRANSACTION_URL"] } }
+//
+// A matrix is expanded into every combination of its values (mode, poolSize
+// and urlEnv, which names an environment variable holding a connection string);
+// "steps" lists settings explicitly instead. For each setting the target is
+// rebuilt, the first `warmup` measurements are discarded and the next `samples`
+// are taken one every intervalSec. With `load` (the options of a load test, see
+// src/load-test.js), a load test then measures throughput under that setting.
+// Measurements are recorded in the segment of their setting (see
+// src/segments.js) and tagged with sweep and sweepStep. At the end, or after a
+// cancel or failure, the target is put back the way it was.
+
+const { summarize } = require('./stats');
+const { parseLoadOptions } = require('./load-test');
+
+const MODES = ['client', 'pool'];
+const MAX_STEPS = 50;
+const MAX_SAMPLES = 10000;
+const KEEP_REPORTS = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every combination of the matrix values, in order (the last key varies fastest)
+function expandMatrix(matrix) {
+  let combinations = [{}];
+  for (const [key, values] of Object.entries(matrix)) {
+    const list = Array.isArray(values) ? values : [values];
+    combinations = combinations.flatMap(combination => list.map(value => ({ ...combination, [key]: value })));
+  }
+  return combinations;
+}
+
+function normalizeSetting(raw, target, env, withLoad) {
+  const mode = raw.mode || target.mode;
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode "${mode}" (expected ${MODES.join(' or ')})`);
+  }
+  const poolSize = raw.poolSize !== undefined ? parseInt(raw.poolSize, 10) : target.poolSize;
+  if (!(poolSize >= 1)) {
+    throw new Error(`Invalid poolSize "${raw.poolSize}" (expected a positive integer)`);
+  }
+  if (raw.urlEnv !== undefined && !env[raw.urlEnv]) {
+    throw new Error(`urlEnv "${raw.urlEnv}" is not set`);
+  }
+  return {
+    mode,
+    // In client mode the pool size only sizes the load test's pool
+    poolSize: mode === 'pool' || (withLoad && raw.poolSize !== undefined) ? poolSize : null,
+    urlEnv: raw.urlEnv || null
+  };
+}
+
+const describeSetting = (s) =>
+  `${s.mode}${s.poolSize !== null ? ` (pool size ${s.poolSize})` : ''}${s.urlEnv ? ` via ${s.urlEnv}` : ''}`;
+
+// Validate a sweep request. Throws with a message suitable for a 400.
+function parseSweepOptions(body, target, env = process.env) {
+  if ((body.matrix === undefined) === (body.steps === undefined)) {
+    throw new Error('Specify exactly one of "matrix" or "steps"');
+  }
+  const raw = body.matrix !== undefined ? expandMatrix(body.matrix) : body.steps;
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('"steps" must be a non-empty array');
+  }
+  for (const key of body.matrix ? Object.keys(body.matrix) : []) {
+    if (!['mode', 'poolSize', 'urlEnv'].includes(key)) {
+      throw new Error(`Unknown matrix setting "${key}" (expected mode, poolSize or urlEnv)`);
+    }
+  }
+
+  let load = null;
+  if (body.load) {
+    if (body.load.poolSize !== undefined) {
+      throw new Error('"load" uses each step\'s pool size; leave out load.poolSize');
+    }
+    load = parseLoadOptions(body.load);
+  }
+
+  // Client mode ignores the pool size, so a matrix can produce duplicates
+  const steps = [];
+  for (const setting of raw.map(r => normalizeSetting(r, target, env, load !== null))) {
+    if (!steps.some(s => describeSetting(s) === describeSetting(setting))) steps.push(setting);
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`A sweep can have at most ${MAX_STEPS} steps (got ${steps.length})`);
+  }
+
+  const samples = parseInt(body.samples || 30, 10);
+  const warmup = parseInt(body.warmup !== undefined ? body.warmup : 1, 10);
+  const intervalSec = Number(body.intervalSec !== undefined ? body.intervalSec : 1);
+  if (!(samples >= 1 && samples <= MAX_SAMPLES)) {
+    throw new Error(`"samples" must be between 1 and ${MAX_SAMPLES}`);
+  }
+  if (!(warmup >= 0)) throw new Error('"warmup" must be zero or more');
+  if (!(intervalSec >= 0 && intervalSec <= 3600)) throw new Error('"intervalSec" must be between 0 and 3600');
+
+  return { steps, samples, warmup, intervalSec, load, label: body.label || null };
+}
+
+// configure(target, setting, label) rebuilds the target with a setting ({ mode,
+// poolSize, url }) and resolves to the id of the segment it now measures into.
+// measure(target, fields, { record }) takes and returns one measurement with
+// the extra fields attached, and records it unless record is false (warmup
+// measurements never reach the results store).
+function createSweepRunner({ appType, configure, measure, loadTester, env = process.env }) {
+  const reports = [];
+  let running = null;
+  let nextId = 1;
+
+  async function runStep(target, options, report, step) {
+    const { setting } = step;
+    step.status = 'running';
+    step.startedAt = new Date().toISOString();
+    step.segment = await configure(target, {
+      mode: setting.mode,
+      poolSize: setting.poolSize !== null ? setting.poolSize : report.original.poolSize,
+      url: setting.urlEnv ? env[setting.urlEnv] : report.original.url
+    }, `sweep #${report.id}${report.label ? ` (${report.label})` : ''}: ${target.name} ${describeSetting(setting)}`);
+    console.log(`[${appType}/${target.name}] Sweep #${report.id} step ${step.index + 1}/${report.steps.length}: ${describeSetting(setting)}`);
+
+    const results = [];
+    for (let i = 0; i < options.warmup + options.samples && !report.cancelled; i++) {
+      const sampleStart = Date.now();
+      const warmup = i < options.warmup;
+      const result = await measure(target, { sweep: report.id, sweepStep: step.index }, { record: !warmup });
+      if (!warmup) results.push(result);
+      const wait = sampleStart + options.intervalSec * 1000 - Date.now();
+      if (wait > 0 && i < options.warmup + options.samples - 1) await sleep(wait);
+    }
+
+    const successful = results.filter(r => r.success);
+    const values = (field) => successful.map(r => r[field]).filter(v => typeof v === 'number');
+    step.samples = results.length;
+    step.failed = results.length - successful.length;
+    step.failureRate = results.length > 0 ? Math.round(step.failed / results.length * 10000) / 100 : 0;
+    step.noisy = results.filter(r => r.noisy).length;
+    step.latency = {
+      connect: summarize(values('connectLatencyMs')),
+      poolAcquire: summarize(values('poolAcquireMs')),
+      ping: summarize(values('pingLatencyMs')),
+      query: summarize(values('queryLatencyMs')),
+      total: summarize(values('totalLatencyMs'))
+    };
+
+    if (options.load && !report.cancelled) {
+      const load = await loadTester.run(target, options.load);
+      step.throughput = {
+        loadTest: load.id,
+        status: load.status,
+        opsPerSec: load.opsPerSec,
+        qps: load.qps,
+        latency: load.latency,
+        poolWait: load.poolWait,
+        failed: load.failed
+      };
+    }
+    step.status = report.cancelled ? 'cancelled' : 'completed';
+    step.finishedAt = new Date().toISOString();
+  }
+
+  async function execute(target, options, report) {
+    try {
+      for (const step of report.steps) {
+        if (report.cancelled) break;
+        await runStep(target, options, report, step);
+      }
+      report.status = report.cancelled ? 'cancelled' : 'completed';
+      console.log(`[${appType}/${target.name}] Sweep #${report.id} ${report.status}`);
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      console.error(`[${appType}/${target.name}] Sweep #${report.id} FAILED: ${error.message}`);
+    } finally {
+      // Put the target back, even after a failure
+      try {
+        await configure(target, report.original, report.original.segmentLabel);
+      } catch (error) {
+        console.error(`[${appType}/${target.name}] Restoring the target after sweep #${report.id} failed: ${error.message}`);
+      }
+      report.finishedAt = new Date().toISOString();
+      running = null;
+    }
+  }
+
+  return {
+    isRunning: () => running !== null,
+
+    // Starts a sweep in the background and returns its (live) report.
+    // original is { mode, poolSize, url, segmentLabel } to restore afterwards.
+    start(target, options, original) {
+      if (running) {
+        throw new Error(`Sweep #${running.id} is already running`);
+      }
+      if (loadTester.isRunning()) {
+        throw new Error('Cannot start a sweep while a load test is running');
+      }
+
+      const report = {
+        id: nextId++,
+        target: target.name,
+        label: options.label,
+        status: 'running',
+        samples: options.samples,
+        warmup: options.warmup,
+        intervalSec: options.intervalSec,
+        load: options.load,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        steps: options.steps.map((setting, index) => ({ index, setting, status: 'pending' })),
+        cancelled: false
+      };
+      Object.defineProperty(report, 'original', { value: original }); // kept out of the JSON (holds the URL)
+      running = report;
+      reports.push(report);
+      if (reports.length > KEEP_REPORTS) reports.shift();
+
+      execute(target, options, report);
+      return report;
+    },
+
+    // Stop after the sample in progress
+    cancel(id) {
+      const report = reports.find(r => r.id === id);
+      if (report && report.status === 'running') report.cancelled = true;
+      return report || null;
+    },
+
+    get: (id) => reports.find(r => r.id === id) || null,
+
+    list: () => reports
+  };
+}
+
+const ms = (summary, key) => (summary ? summary[key].toFixed(2) : '-');
+
+// Comparison table of a sweep report, one row per setting (Markdown)
+function sweepTable(report) {
+  const lines = [
+    '| Setting | Samples | Failures | Connect/Acquire p50 | Total p50 | Total p95 | Total p99 | Ops/s | QPS | Load p95 | Pool wait p95 |',
+    '|---------|---------|----------|---------------------|-----------|-----------|-----------|-------|-----|----------|---------------|'
+  ];
+  for (const step of report.steps) {
+    if (!step.latency) {
+      lines.push(`| ${describeSetting(step.setting)} | ${step.status} | | | | | | | | | |`);
+      continue;
+    }
+    const { latency, throughput } = step;
+    const t = throughput || {};
+    lines.push(`| ${describeSetting(step.setting)} | ${step.samples} | ${step.failed} (${step.failureRate}%) | ` +
+      `${ms(latency.poolAcquire || latency.connect, 'p50')} | ${ms(latency.total, 'p50')} | ${ms(latency.total, 'p95')} | ${ms(latency.total, 'p99')} | ` +
+      `${throughput ? t.opsPerSec : '-'} | ${throughput ? t.qps : '-'} | ${ms(t.latency, 'p95')} | ${ms(t.poolWait, 'p95')} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { createSweepRunner, parseSweepOptions, sweepTable };
@@ -0,0 +1,110 @@
+// Benchmark target configuration
+//
+// A target is one named database endpoint that gets measured in every benchmark
+// cycle. Targets are declared as a JSON array in BENCHMARK_TARGETS:
+//
+//   [
+//     { "name": "direct-pool", "url": "postgresql://...:25060/benchmarkdb", "mode": "pool", "poolSize": 10 },
+//     { "name": "bouncer-client", "urlEnv": "PGBOUNCER_URL", "mode": "client" },
+//     { "name": "valkey-pool", "urlEnv": "VALKEY_URL", "mode": "pool", "poolSize": 5 }
+//   ]
+//
+// The URL's scheme picks the driver (postgresql://, mysql://, redis:// or
+// rediss://, see src/drivers/).
+// "urlEnv" names another environment variable holding the connection string, so
+// credentials can stay in App Platform secrets instead of the JSON itself.
+// "workload" points at a workload file (see src/workload.js) for that target;
+// targets without one use WORKLOAD_FILE, or the built-in default workload.
+// "impairment" routes the target through a network impairment proxy (see
+// src/impairment.js); targets without one use IMPAIRMENT, if set. "copy" adds
+// a COPY throughput test to every measurement (see src/copy-throughput.js);
+// targets without one use COPY_BENCHMARK, if set, and "copy": false opts out.
+// Workload files and COPY are Postgres only; MySQL and Redis targets run the
+// default workload through their driver.
+//
+// When BENCHMARK_TARGETS is not set, a single "default" target is built from
+// DATABASE_URL, USE_POOL and POOL_SIZE so existing deployments keep working.
+
+const { loadWorkload } = require('./workload');
+const { loadImpairment } = require('./impairment');
+const { loadCopy } = require('./copy-throughput');
+const { driverName } = require('./drivers');
+
+const MODES = ['client', 'pool'];
+const DEFAULT_POOL_SIZE = 10;
+
+function normalizeTarget(raw, index, env) {
+  const name = raw.name || `target-${index + 1}`;
+  const url = raw.url || (raw.urlEnv ? env[raw.urlEnv] : undefined);
+  const mode = raw.mode || 'client';
+
+  if (!url) {
+    throw new Error(`Target "${name}" has no url (set "url" or "urlEnv")`);
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Target "${name}" has invalid mode "${mode}" (expected ${MODES.join(' or ')})`);
+  }
+  let driver;
+  try {
+    driver = driverName(url);
+  } catch (error) {
+    throw new Error(`Target "${name}": ${error.message}`);
+  }
+  const postgres = driver === 'postgres';
+  if (!postgres && raw.workload) {
+    throw new Error(`Target "${name}": workload files need a Postgres target (this one uses ${driver})`);
+  }
+  if (!postgres && raw.copy) {
+    throw new Error(`Target "${name}": COPY needs a Postgres target (this one uses ${driver})`);
+  }
+
+  return {
+    name,
+    url,
+    driver,
+    mode,
+    poolSize: parseInt(raw.poolSize || DEFAULT_POOL_SIZE, 10),
+    workload: loadWorkload(postgres ? raw.workload || env.WORKLOAD_FILE : null),
+    impairment: loadImpairment(raw.impairment, env),
+    copy: postgres ? loadCopy(raw.copy, env) : null,
+    proxy: null,
+    pool: null
+  };
+}
+
+function loadTargets(env = process.env) {
+  if (env.BENCHMARK_TARGETS) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.BENCHMARK_TARGETS);
+    } catch (error) {
+      throw new Error(`BENCHMARK_TARGETS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error('BENCHMARK_TARGETS must be a non-empty JSON array');
+    }
+
+    const targets = parsed.map((raw, index) => normalizeTarget(raw, index, env));
+    const names = new Set();
+    for (const target of targets) {
+      if (names.has(target.name)) {
+        throw new Error(`Duplicate target name "${target.name}"`);
+      }
+      names.add(target.name);
+    }
+    return targets;
+  }
+
+  if (!env.DATABASE_URL) {
+    return [];
+  }
+
+  return [normalizeTarget({
+    name: 'default',
+    url: env.DATABASE_URL,
+    mode: env.USE_POOL === 'true' ? 'pool' : 'client',
+    poolSize: env.POOL_SIZE
+  }, 0, env)];
+}
+
+module.exports = { loadTargets };
@@ -0,0 +1,100 @@
+// Time window query parameters for the statistics endpoints
+//
+//   since=<time>     measurements at or after this time
+//   until=<time>     measurements before this time
+//   window=<dur>     length of the window: ending at until (default now), or
+//                    starting at since when only since is given
+//   bucket=<dur>     per-interval aggregates, e.g. bucket=1m or bucket=1h
+//   hours=<a>-<b>    only measurements whose UTC hour is in [a, b), e.g.
+//                    hours=9-17 for business hours; hours=17-9 wraps midnight
+//
+// Times are ISO 8601 or epoch milliseconds. Durations are a number with an
+// s, m, h or d suffix (plain numbers are seconds).
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 2000;
+
+function parseDuration(value, name) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match || !(Number(match[1]) > 0)) {
+    throw new Error(`Invalid ${name} "${value}" (expected a duration like 30s, 15m, 1h or 7d)`);
+  }
+  return Number(match[1]) * UNITS[match[2] || 's'];
+}
+
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}" (expected an ISO 8601 time or epoch milliseconds)`);
+  }
+  return time;
+}
+
+function parseHours(value) {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 24 || match[1] === match[2]) {
+    throw new Error(`Invalid hours "${value}" (expected <from>-<to> in UTC hours, e.g. 9-17)`);
+  }
+  return { from: Number(match[1]) % 24, to: Number(match[2]) % 24 };
+}
+
+// Parse the query into { since, until, bucketMs, hours } (all optional; times in
+// epoch ms). Throws on invalid input.
+function parseTimeWindow(query, now = Date.now()) {
+  let since = query.since !== undefined ? parseTime(query.since, 'since') : null;
+  let until = query.until !== undefined ? parseTime(query.until, 'until') : null;
+
+  if (query.window !== undefined) {
+    const windowMs = parseDuration(query.window, 'window');
+    if (since !== null && until !== null) {
+      throw new Error('Give at most two of since, until and window');
+    }
+    if (since !== null) {
+      until = since + windowMs;
+    } else {
+      until = until !== null ? until : now;
+      since = until - windowMs;
+    }
+  }
+  if (since !== null && until !== null && since >= until) {
+    throw new Error('since must be before until');
+  }
+
+  const bucketMs = query.bucket !== undefined ? parseDuration(query.bucket, 'bucket') : null;
+  if (bucketMs !== null && since !== null && (until !== null ? until : now) - since > bucketMs * MAX_BUCKETS) {
+    throw new Error(`bucket=${query.bucket} would produce more than ${MAX_BUCKETS} buckets; use a larger bucket or a shorter window`);
+  }
+
+  return {
+    since,
+    until,
+    bucketMs,
+    hours: query.hours !== undefined ? parseHours(query.hours) : null
+  };
+}
+
+const inHours = (time, hours) => {
+  const hour = new Date(time).getUTCHours();
+  return hours.from < hours.to
+    ? hour >= hours.from && hour < hours.to
+    : hour >= hours.from || hour < hours.to;
+};
+
+// Whether one result passes the window's hours filter
+const matchesHours = (result, { hours }) => !hours || inHours(new Date(result.timestamp).getTime(), hours);
+
+// Keep results inside the window (the store applies since/until itself; this
+// handles the hours filter)
+const applyHours = (results, window) => (window.hours
+  ? results.filter(r => matchesHours(r, window))
+  : results);
+
+// Describe a parsed window for responses
+const describeWindow = ({ since, until, bucketMs, hours }) => ({
+  since: since !== null ? new Date(since).toISOString() : null,
+  until: until !== null ? new Date(until).toISOString() : null,
+  bucketSec: bucketMs !== null ? bucketMs / 1000 : null,
+  hoursUtc: hours ? `${hours.from}-${hours.to}` : null
+});
+
+module.exports = { parseDuration, parseTimeWindow, matchesHours, applyHours, describeWindow };
@@ -0,0 +1,76 @@
+// TLS configuration from the connection string's sslmode
+//
+// pg's own connection string parsing treats sslmode inconsistently across
+// versions, so the SSL-related parameters are taken off the URL and turned into
+// an explicit `ssl` option, following libpq's meaning of each mode:
+//
+//   disable      plain TCP, no SSLRequest
+//   require      TLS, certificate not checked (the default when no sslmode is set)
+//   verify-ca    TLS, certificate must chain to the CA
+//   verify-full  TLS, certificate must chain to the CA and match the hostname
+//
+// libpq's allow and prefer fall back to plain TCP when the server refuses TLS;
+// pg can't do that, so they behave like require. The mode comes from the URL's
+// sslmode, else PGSSLMODE. The CA is read from sslrootcert in the URL, else
+// DATABASE_CA_CERT (PEM contents, e.g. App Platform's ${db.CA_CERT}), else the
+// file at DATABASE_CA_CERT_FILE. Without one, the verify modes check against
+// Node's built-in root certificates.
+
+const fs = require('fs');
+
+const SSL_MODES = ['disable', 'require', 'verify-ca', 'verify-full'];
+const SSL_ALIASES = { allow: 'require', prefer: 'require', 'no-verify': 'require' };
+// libpq parameters pg would otherwise interpret itself
+const SSL_PARAMS = ['sslmode', 'sslrootcert', 'sslcert', 'sslkey', 'sslcrl', 'uselibpqcompat'];
+
+function createTlsConfig(env = process.env) {
+  const caCache = new Map();
+
+  const readCa = (file) => {
+    if (!caCache.has(file)) caCache.set(file, fs.readFileSync(file, 'utf8'));
+    return caCache.get(file);
+  };
+
+  // Env-provided PEM often arrives with literal \n sequences
+  const envCa = () => {
+    if (env.DATABASE_CA_CERT) return env.DATABASE_CA_CERT.replace(/\\n/g, '\n');
+    if (env.DATABASE_CA_CERT_FILE) return readCa(env.DATABASE_CA_CERT_FILE);
+    return undefined;
+  };
+
+  // Split a connection string into the URL pg should see, the ssl option and the mode
+  return (url) => {
+    const parsed = new URL(url);
+    const requested = parsed.searchParams.get('sslmode') || env.PGSSLMODE || 'require';
+    const sslMode = SSL_ALIASES[requested] || requested;
+    if (!SSL_MODES.includes(sslMode)) {
+      throw new Error(`Unsupported sslmode "${requested}" (expected ${SSL_MODES.join(', ')})`);
+    }
+
+    const rootCert = parsed.searchParams.get('sslrootcert');
+    for (const param of SSL_PARAMS) parsed.searchParams.delete(param);
+    const connectionString = parsed.toString();
+
+    if (sslMode === 'disable') return { connectionString, ssl: false, sslMode };
+    if (sslMode === 'require') return { connectionString, ssl: { rejectUnauthorized: false }, sslMode };
+
+    const ssl = { rejectUnauthorized: true };
+    const ca = rootCert ? readCa(rootCert) : envCa();
+    if (ca) ssl.ca = ca;
+    // verify-ca trusts any hostname on a certificate signed by the CA
+    if (sslMode === 'verify-ca') ssl.checkServerIdentity = () => undefined;
+    return { connectionString, ssl, sslMode };
+  };
+}
+
+// Negotiated TLS details of a socket (null unless it is a TLS socket)
+function socketTlsDetails(stream) {
+  if (!stream || typeof stream.getProtocol !== 'function') return null;
+  const cipher = stream.getCipher();
+  return { protocol: stream.getProtocol(), cipher: cipher ? cipher.name : null };
+}
+
+// Negotiated TLS details of a connected pg client (null without TLS)
+const tlsDetails = (client) => socketTlsDetails(client.connection && client.connection.stream);
+
+module.exports = { SSL_MODES, createTlsConfig, tlsDetails, socketTlsDetails };
@@ -0,0 +1,258 @@
+// Declarative workloads
+//
+// A workload describes the queries run on a connection once it has been opened
+// (client mode) or acquired (pool mode). Both modes run the same engine, so the
+// only difference between them is how the connection is obtained.
+//
+// Workloads are JSON or YAML files:
+//
+//   name: orders
+//   setup:                          # untimed, before the steps
+//     - sql: CREATE TABLE IF NOT EXISTS bench_orders (id serial primary key, amount numeric)
+//   steps:
+//     - name: ping
+//       sql: SELECT 1
+//     - name: insert
+//       sql: INSERT INTO bench_orders (amount) VALUES ($1) RETURNING id
+//       params: ["{{random}}"]
+//       repeat: 10
+//     - name: checkout              # multi-statement transaction
+//       transaction: true
+//       statements:
+//         - sql: UPDATE bench_orders SET amount = amount + 1 WHERE id = $1
+//           params: ["{{i}}"]
+//         - sql: SELECT sum(amount) FROM bench_orders
+//   teardown:                       # untimed, always runs
+//     - sql: DELETE FROM bench_orders
+//
+// Each step runs `repeat` times (default 1). With `transaction: true` every
+// iteration is wrapped in BEGIN/COMMIT. Parameters may use the placeholders
+// {{i}} (iteration index) and {{random}} (random integer below 1,000,000).
+//
+// A step's `protocol` picks how its statements are sent:
+//
+//   default   pg's choice: simple query protocol without parameters, extended
+//             (unnamed statement: Parse/Bind/Execute every time) with them
+//   simple    simple query protocol; parameters are inlined as quoted literals
+//             (textually, so keep $n out of string literals)
+//   extended  extended protocol with an unnamed statement, even without parameters
+//   prepared  named prepared statement: parsed once per connection, then only
+//             Bind/Execute. Session-level state, see src/pooler-check.js.
+//
+// With `batch: true` all `repeat` iterations are sent as one multi-statement
+// simple query, a single round trip (parameters inlined as with `simple`). The
+// server runs a batch as one implicit transaction, so it can't be combined with
+// `transaction`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LONG_QUERY = `
+  SELECT
+    gs.id,
+    md5(random()::text) as hash1,
+    md5(random()::text) as hash2,
+    md5(random()::text) as hash3,
+    now() as timestamp
+  FROM generate_series(1, 1000) as gs(id)
+`;
+
+// The original fixed benchmark sequence. Its step names map onto the
+// measurement fields (pingLatencyMs, longQueryLatencyMs, avgRoundTripMs, ...)
+// that the stats, summary and Prometheus output are built around.
+const DEFAULT_WORKLOAD = {
+  name: 'default',
+  setup: [],
+  teardown: [],
+  steps: [
+    { name: 'ping', statements: [{ sql: 'SELECT 1', params: [] }], repeat: 1, transaction: false, protocol: 'default', batch: false },
+    { name: 'longQuery', statements: [{ sql: LONG_QUERY, params: [] }], repeat: 1, transaction: false, protocol: 'default', batch: false },
+    { name: 'roundTrip', statements: [{ sql: 'SELECT $1::int', params: ['{{i}}'] }], repeat: 10, transaction: false, protocol: 'default', batch: false }
+  ]
+};
+
+const PROTOCOLS = ['default', 'simple', 'extended', 'prepared'];
+
+function normalizeStatement(raw, where) {
+  if (typeof raw === 'string') raw = { sql: raw };
+  if (!raw || typeof raw.sql !== 'string' || !raw.sql.trim()) {
+    throw new Error(`${where}: "sql" must be a non-empty string`);
+  }
+  if (raw.params !== undefined && !Array.isArray(raw.params)) {
+    throw new Error(`${where}: "params" must be an array`);
+  }
+  return { sql: raw.sql, params: raw.params || [] };
+}
+
+function normalizeWorkload(raw, source) {
+  if (!raw || !Array.isArray(raw.steps) || raw.steps.length === 0) {
+    throw new Error(`Workload ${source}: "steps" must be a non-empty array`);
+  }
+
+  const names = new Set();
+  const steps = raw.steps.map((step, index) => {
+    const name = step.name || `step${index + 1}`;
+    const where = `Workload ${source}, step "${name}"`;
+    if (names.has(name)) throw new Error(`${where}: duplicate step name`);
+    names.add(name);
+
+    if (step.sql && step.statements) {
+      throw new Error(`${where}: use either "sql" or "statements", not both`);
+    }
+    const statements = step.statements
+      ? step.statements.map((s, i) => normalizeStatement(s, `${where}, statement ${i + 1}`))
+      : [normalizeStatement({ sql: step.sql, params: step.params }, where)];
+    if (statements.length === 0) throw new Error(`${where}: "statements" is empty`);
+
+    const repeat = step.repeat === undefined ? 1 : parseInt(step.repeat, 10);
+    if (!(repeat >= 1)) throw new Error(`${where}: "repeat" must be a positive integer`);
+
+    const protocol = step.protocol === undefined ? 'default' : step.protocol;
+    if (!PROTOCOLS.includes(protocol)) {
+      throw new Error(`${where}: "protocol" must be one of ${PROTOCOLS.join(', ')}`);
+    }
+    const batch = step.batch === true;
+    if (batch && step.transaction === true) {
+      throw new Error(`${where}: a batch already runs as one implicit transaction; drop "transaction"`);
+    }
+    if (batch && protocol !== 'default' && protocol !== 'simple') {
+      throw new Error(`${where}: a batch is sent as one simple query; "protocol" must be simple`);
+    }
+
+    return { name, statements, repeat, transaction: step.transaction === true, protocol, batch };
+  });
+
+  const hooks = (key) => (raw[key] || []).map((s, i) => normalizeStatement(s, `Workload ${source}, ${key} ${i + 1}`));
+
+  return {
+    name: raw.name || path.basename(source, path.extname(source)),
+    setup: hooks('setup'),
+    teardown: hooks('teardown'),
+    steps
+  };
+}
+
+// Load a workload file (.json, .yaml or .yml). Without a file, the default
+// workload is returned.
+function loadWorkload(filePath) {
+  if (!filePath) return DEFAULT_WORKLOAD;
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const raw = /\.ya?ml$/i.test(filePath) ? yaml.load(contents) : JSON.parse(contents);
+  return normalizeWorkload(raw, filePath);
+}
+
+function resolveParams(params, iteration) {
+  return params.map(param => {
+    if (param === '{{i}}') return iteration;
+    if (param === '{{random}}') return Math.floor(Math.random() * 1000000);
+    return param;
+  });
+}
+
+// $1, $2, ... replaced by the parameters as quoted literals
+const inlineParams = (client, sql, params) => sql.replace(/\$(\d+)/g, (placeholder, n) => {
+  const value = params[n - 1];
+  if (value === undefined) return placeholder;
+  return value === null ? 'NULL' : client.escapeLiteral(String(value));
+});
+
+// Named statements are keyed by their text, so steps sharing a statement share
+// one server-side prepared statement
+const statementName = (sql) => `bench_${crypto.createHash('sha1').update(sql).digest('hex').slice(0, 16)}`;
+
+// pg query config sending a statement with the given protocol
+function queryConfig(client, statement, params, protocol) {
+  switch (protocol) {
+    case 'simple':
+      return { text: inlineParams(client, statement.sql, params) };
+    case 'extended':
+      return { text: statement.sql, values: params, queryMode: 'extended' };
+    case 'prepared':
+      return { name: statementName(statement.sql), text: statement.sql, values: params };
+    default:
+      return { text: statement.sql, values: params };
+  }
+}
+
+async function runStatements(client, statements, iteration, protocol = 'default') {
+  let rows = 0;
+  for (const statement of statements) {
+    const result = await client.query(queryConfig(client, statement, resolveParams(statement.params, iteration), protocol));
+    rows += result.rowCount || 0;
+  }
+  return rows;
+}
+
+// All iterations of a step in one multi-statement simple query
+async function runBatch(client, step) {
+  const sql = [];
+  for (let i = 0; i < step.repeat; i++) {
+    for (const statement of step.statements) {
+      sql.push(inlineParams(client, statement.sql.trim().replace(/;+$/, ''), resolveParams(statement.params, i)));
+    }
+  }
+  // pg resolves to one result per statement, or a single result for just one
+  const results = [].concat(await client.query(sql.join(';\n')));
+  return results.reduce((rows, result) => rows + (result.rowCount || 0), 0);
+}
+
+// Run a workload on an open client. Returns per-step timings plus the total
+// time spent in the steps (setup and teardown are not timed).
+async function runWorkload(client, workload) {
+  const steps = {};
+  let failed = false;
+
+  await runStatements(client, workload.setup, 0);
+
+  try {
+    const start = process.hrtime.bigint();
+
+    for (const step of workload.steps) {
+      const stepStart = process.hrtime.bigint();
+      let rows = step.batch ? await runBatch(client, step) : 0;
+
+      for (let i = 0; i < step.repeat && !step.batch; i++) {
+        if (!step.transaction) {
+          rows += await runStatements(client, step.statements, i, step.protocol);
+          continue;
+        }
+
+        await client.query('BEGIN');
+        try {
+          rows += await runStatements(client, step.statements, i, step.protocol);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      }
+
+      const latencyMs = Number(process.hrtime.bigint() - stepStart) / 1e6;
+      steps[step.name] = {
+        latencyMs,
+        avgMs: latencyMs / step.repeat,
+        iterations: step.repeat,
+        rows
+      };
+    }
+
+    return {
+      workload: workload.name,
+      steps,
+      queryLatencyMs: Number(process.hrtime.bigint() - start) / 1e6
+    };
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    // Don't let a teardown failure mask the error that aborted the steps
+    await runStatements(client, workload.teardown, 0).catch((error) => {
+      if (!failed) throw error;
+    });
+  }
+}
+
+module.exports = { DEFAULT_WORKLOAD, loadWorkload, runWorkload };
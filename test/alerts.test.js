@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadAlertRules, createAlerter, metricValue } = require('../src/alerts');
+
+const targets = [{ name: 'primary' }, { name: 'replica' }];
+const load = (rules) => loadAlertRules({ env: { ALERT_RULES: JSON.stringify(rules) }, targets });
+
+test('rules get defaults and apply to every target unless named', () => {
+  const [rule, scoped] = load([
+    { name: 'ping p95', metric: 'latency.ping.p95', op: '>', threshold: 5 },
+    { metric: 'failureRate', op: '>=', threshold: '1', window: '1h', targets: 'replica', minMeasurements: 3 }
+  ]);
+  assert.deepEqual(rule, {
+    name: 'ping p95',
+    metric: 'latency.ping.p95',
+    op: '>',
+    threshold: 5,
+    window: '15m',
+    windowMs: 15 * 60 * 1000,
+    targets: ['primary', 'replica'],
+    minMeasurements: 1
+  });
+  assert.equal(scoped.name, 'rule-2');
+  assert.equal(scoped.threshold, 1);
+  assert.equal(scoped.windowMs, 60 * 60 * 1000);
+  assert.deepEqual(scoped.targets, ['replica']);
+  assert.equal(scoped.minMeasurements, 3);
+});
+
+test('invalid rules are rejected with the rule name', () => {
+  assert.throws(() => load([{ name: 'a', metric: 'latency.ping.p95', op: '!=', threshold: 1 }]), /rule "a" has invalid op "!="/);
+  assert.throws(() => load([{ name: 'a', metric: 'latency.ping.p95', op: '>' }]), /rule "a" needs a numeric "threshold"/);
+  assert.throws(() => load([{ name: 'a', metric: 'latency ping', op: '>', threshold: 1 }]), /needs a "metric" path/);
+  assert.throws(() => load([{ name: 'a', metric: 'failureRate', op: '>', threshold: 1, targets: ['standby'] }]), /unknown target "standby"/);
+  assert.throws(() => load([{ name: 'a', metric: 'failureRate', op: '>', threshold: 1, window: 'soon' }]), /Invalid window of rule "a"/);
+  assert.throws(() => load([{ name: 'a', metric: 'failureRate', op: '>', threshold: 1 }, { name: 'a', metric: 'failureRate', op: '<', threshold: 1 }]), /Duplicate alert rule name "a"/);
+  assert.throws(() => loadAlertRules({ env: { ALERT_RULES: '{' }, targets }), /ALERT_RULES is not valid JSON/);
+  assert.throws(() => loadAlertRules({ env: { ALERT_RULES: '{"rule": []}' }, targets }), /expected an array of rules/);
+  assert.deepEqual(loadAlertRules({ env: {}, targets }), []);
+  assert.equal(load({ rules: [{ metric: 'failureRate', op: '>', threshold: 1 }] }).length, 1);
+});
+
+test('metricValue reads dotted paths and formatted figures', () => {
+  const stats = { failureRate: '0.50%', latency: { ping: { p95: '1.25' } }, reliability: { availability: 99.5 } };
+  assert.equal(metricValue(stats, 'failureRate'), 0.5);
+  assert.equal(metricValue(stats, 'latency.ping.p95'), 1.25);
+  assert.equal(metricValue(stats, 'reliability.availability'), 99.5);
+  assert.equal(metricValue(stats, 'latency.query.p95'), null);
+  assert.equal(metricValue(stats, 'latency.ping.p95.x'), null);
+  assert.equal(metricValue({ latency: { ping: 'n/a' } }, 'latency.ping'), null);
+});
+
+// Alerter over stats that the test sets per evaluation
+function setup(options = {}) {
+  const current = { totalMeasurements: 10, failureRate: '0.00%' };
+  const [rule] = load([{ name: 'failures', metric: 'failureRate', op: '>', threshold: 1, minMeasurements: 5 }]);
+  const alerter = createAlerter({ appType: 'postgres', rules: [rule], statsFor: async () => current, ...options });
+  const state = () => alerter.status().states[0];
+  return { current, alerter, state };
+}
+
+test('a pair fires, resolves and returns to ok', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { current, alerter, state } = setup();
+  const primary = [targets[0]];
+
+  await alerter.check(primary);
+  assert.equal(state().status, 'ok');
+  assert.equal(alerter.status().notifications.length, 0);
+
+  current.failureRate = '5.00%';
+  await alerter.check(primary);
+  assert.equal(state().status, 'firing');
+  assert.equal(state().value, 5);
+  assert.equal(alerter.status().firing, 1);
+
+  // Still firing: no second notification
+  await alerter.check(primary);
+  assert.equal(alerter.status().notifications.length, 1);
+
+  current.failureRate = '0.00%';
+  await alerter.check(primary);
+  assert.equal(state().status, 'ok');
+  const statuses = alerter.status().notifications.map(n => n.status);
+  assert.deepEqual(statuses, ['firing', 'resolved']);
+  assert.ok(alerter.status().notifications.every(n => n.delivered === false && n.error === null));
+});
+
+test('too few measurements leave the state unchanged', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { current, alerter, state } = setup();
+  current.totalMeasurements = 4;
+  current.failureRate = '50.00%';
+  await alerter.check([targets[0]]);
+  assert.equal(state().status, 'ok');
+  assert.equal(state().measurements, 4);
+});
+
+test('an unknown webhook format is rejected', () => {
+  assert.throws(() => createAlerter({ appType: 'postgres', rules: [], statsFor: async () => ({}), format: 'teams' }), /Unknown alert webhook format "teams"/);
+});
+
+test('an undelivered firing is retried and never followed by a resolution', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(500).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { current, alerter, state } = setup({ webhookUrl: `http://127.0.0.1:${server.address().port}/hook` });
+    const primary = [targets[0]];
+
+    current.failureRate = '5.00%';
+    await alerter.check(primary);
+    assert.equal(state().status, 'firing');
+    assert.equal(state().error, 'HTTP 500');
+    await alerter.check(primary);
+    assert.equal(received.length, 2);
+
+    current.failureRate = '0.00%';
+    await alerter.check(primary);
+    assert.equal(state().status, 'ok');
+    assert.deepEqual(received.map(n => n.status), ['firing', 'firing']);
+    assert.ok(alerter.status().notifications.every(n => !n.delivered));
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareResults, mannWhitney } = require('../src/compare');
+
+const results = (values, extra = {}) => values.map(totalLatencyMs => ({ success: true, totalLatencyMs, ...extra }));
+const range = (from, n) => Array.from({ length: n }, (_, i) => from + i);
+
+test('Mann-Whitney U on fully separated samples', () => {
+  const { u, z, p } = mannWhitney([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+  assert.equal(u, 0);
+  assert.ok(z < -2.4 && z > -2.6, `z = ${z}`);
+  assert.ok(p > 0.01 && p < 0.015, `p = ${p}`);
+});
+
+test('Mann-Whitney on identical values finds nothing', () => {
+  assert.deepEqual(mannWhitney([1, 1, 1], [1, 1, 1]), { u: 4.5, z: 0, p: 1 });
+});
+
+test('a clear difference is significant and names the faster side', () => {
+  const comparison = compareResults(results(range(10, 30)), results(range(30, 30)));
+  const total = comparison.metrics.total;
+  assert.equal(total.significant, true);
+  assert.equal(total.medianA, 24);
+  assert.equal(total.medianB, 44);
+  assert.equal(total.medianDiff, -20);
+  assert.ok(total.medianDiffCi[0] <= -20 && total.medianDiffCi[1] >= -20);
+  assert.ok(total.probabilityAFaster > 0.9);
+  assert.match(total.verdict, /^A faster by 20ms median/);
+});
+
+test('the same distribution on both sides is not significant', () => {
+  const comparison = compareResults(results(range(10, 30)), results(range(10, 30)));
+  assert.equal(comparison.metrics.total.significant, false);
+  assert.equal(comparison.metrics.total.verdict, 'no significant difference');
+});
+
+test('too few samples per side are reported rather than tested', () => {
+  const comparison = compareResults(results([1, 2, 3]), results(range(10, 30)));
+  assert.equal(comparison.metrics.total.significant, null);
+  assert.match(comparison.metrics.total.verdict, /insufficient data/);
+});
+
+test('failed and, with excludeNoisy, noisy measurements are left out', () => {
+  const a = [...results(range(10, 10)), { success: false, totalLatencyMs: 1 }, ...results([1000, 1000], { noisy: true })];
+  const b = results(range(10, 10));
+  assert.equal(compareResults(a, b).metrics.total.samplesA, 12);
+  assert.equal(compareResults(a, b, { excludeNoisy: true }).metrics.total.samplesA, 10);
+});
+
+test('the bootstrap is seeded, so results repeat', () => {
+  const a = results(range(10, 40).map(v => v * 1.3));
+  const b = results(range(12, 40));
+  assert.deepEqual(compareResults(a, b, { iterations: 200 }), compareResults(a, b, { iterations: 200 }));
+});
+
+test('metrics without samples on either side are skipped', () => {
+  const comparison = compareResults(results(range(10, 10)), results(range(10, 10)));
+  assert.ok(comparison.metrics.total);
+  assert.equal(comparison.metrics.copyIn, undefined);
+});
+
+test('the SSLRequest phase is compared like the other phases', () => {
+  const a = results(range(10, 10)).map((r, i) => ({ ...r, sslRequestLatencyMs: 1 + i / 10 }));
+  const b = results(range(10, 10)).map((r, i) => ({ ...r, sslRequestLatencyMs: 5 + i / 10 }));
+  const { sslRequest } = compareResults(a, b).metrics;
+  assert.equal(sslRequest.significant, true);
+  assert.match(sslRequest.verdict, /^A faster/);
+});
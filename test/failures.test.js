@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, failureFields, findOutages, summarizeReliability } = require('../src/failures');
+
+const error = (message, code) => Object.assign(new Error(message), code ? { code } : {});
+
+test('network errors are classified by code', () => {
+  assert.equal(classifyError(error('getaddrinfo ENOTFOUND db', 'ENOTFOUND')), 'dns');
+  assert.equal(classifyError(error('connect ECONNREFUSED', 'ECONNREFUSED')), 'tcp_refused');
+  assert.equal(classifyError(error('connect EHOSTUNREACH', 'EHOSTUNREACH')), 'tcp_timeout');
+  assert.equal(classifyError(error('read ECONNRESET', 'ECONNRESET')), 'connection_reset');
+  assert.equal(classifyError(error('self-signed certificate', 'DEPTH_ZERO_SELF_SIGNED_CERT')), 'tls');
+  assert.equal(classifyError(error('bad record', 'ERR_SSL_WRONG_VERSION_NUMBER')), 'tls');
+});
+
+test('Postgres SQLSTATEs separate auth, unavailability and query errors', () => {
+  assert.equal(classifyError(error('password authentication failed', '28P01')), 'auth');
+  assert.equal(classifyError(error('database "x" does not exist', '3D000')), 'auth');
+  assert.equal(classifyError(error('too many clients already', '53300')), 'server_unavailable');
+  assert.equal(classifyError(error('the database system is starting up', '57P03')), 'server_unavailable');
+  assert.equal(classifyError(error('syntax error', '42601')), 'query_error');
+});
+
+test('MySQL and Redis errors are classified', () => {
+  assert.equal(classifyError(error('Access denied', 'ER_ACCESS_DENIED_ERROR')), 'auth');
+  assert.equal(classifyError(error('Too many connections', 'ER_CON_COUNT_ERROR')), 'server_unavailable');
+  assert.equal(classifyError(error('You have an error in your SQL syntax', 'ER_PARSE_ERROR')), 'query_error');
+  assert.equal(classifyError(error('Connection lost: The server closed the connection.', 'PROTOCOL_CONNECTION_LOST')), 'connection_reset');
+  assert.equal(classifyError(error('WRONGPASS invalid username-password pair')), 'auth');
+  assert.equal(classifyError(error('LOADING Redis is loading the dataset in memory')), 'server_unavailable');
+  assert.equal(classifyError(Object.assign(error('ERR unknown command'), { name: 'ReplyError' })), 'query_error');
+});
+
+test('pg timeout messages depend on the stage', () => {
+  const timeout = error('timeout exceeded when trying to connect');
+  assert.equal(classifyError(timeout), 'pool_timeout');
+  assert.equal(classifyError(timeout, { stage: 'acquire' }), 'pool_timeout');
+  assert.equal(classifyError(timeout, { stage: 'query' }), 'unknown');
+  assert.equal(classifyError(error('Connection terminated due to connection timeout')), 'connect_timeout');
+  assert.equal(classifyError(error('Connection terminated unexpectedly')), 'connection_reset');
+});
+
+test('the connect phase is the fallback for otherwise unknown errors', () => {
+  assert.equal(classifyError(error('something odd'), { connectPhase: 'tlsHandshake' }), 'tls');
+  assert.equal(classifyError(error('something odd'), { connectPhase: 'tcpConnect' }), 'tcp_timeout');
+  assert.equal(classifyError(error('something odd'), { connectPhase: 'query' }), 'unknown');
+  assert.equal(classifyError(undefined), 'unknown');
+});
+
+test('failureFields records message, code and category', () => {
+  assert.deepEqual(failureFields(error('connect ECONNREFUSED', 'ECONNREFUSED')), {
+    error: 'connect ECONNREFUSED',
+    errorCode: 'ECONNREFUSED',
+    errorCategory: 'tcp_refused'
+  });
+});
+
+const at = (second, success, extra = {}) => ({ timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, second)).toISOString(), success, ...extra });
+
+test('consecutive failures form one outage ended by the next success', () => {
+  const results = [
+    at(0, true),
+    at(10, false, { errorCategory: 'tcp_refused' }),
+    at(20, false, { error: 'getaddrinfo ENOTFOUND db', errorCode: 'ENOTFOUND' }),
+    at(30, true),
+    at(40, false, { errorCategory: 'auth' }),
+    at(50, true)
+  ];
+  const outages = findOutages(results);
+  assert.equal(outages.length, 2);
+  assert.deepEqual(outages[0], {
+    start: '2024-01-01T00:00:10.000Z',
+    end: '2024-01-01T00:00:30.000Z',
+    durationMs: 20000,
+    ongoing: false,
+    failures: 2,
+    categories: { tcp_refused: 1, dns: 1 }
+  });
+
+  const summary = summarizeReliability(results);
+  assert.equal(summary.observedMs, 50000);
+  assert.equal(summary.downtimeMs, 30000);
+  assert.equal(summary.availability, 40);
+  assert.equal(summary.mttrMs, 15000);
+  assert.equal(summary.mtbfMs, 10000);
+  assert.equal(summary.ongoingOutage, false);
+  assert.deepEqual(summary.failuresByCategory, { tcp_refused: 1, dns: 1, auth: 1 });
+});
+
+test('an outage still going counts as down up to the last measurement', () => {
+  const summary = summarizeReliability([at(0, true), at(30, true), at(40, false, { errorCategory: 'dns' }), at(60, false, { errorCategory: 'dns' })]);
+  assert.equal(summary.ongoingOutage, true);
+  assert.equal(summary.outages[0].end, null);
+  assert.equal(summary.downtimeMs, 20000);
+  assert.equal(summary.availability, 66.667);
+  assert.equal(summary.mttrMs, null);
+});
+
+test('no results give an empty summary', () => {
+  const summary = summarizeReliability([]);
+  assert.equal(summary.availability, null);
+  assert.equal(summary.outageCount, 0);
+  assert.deepEqual(summary.outages, []);
+});
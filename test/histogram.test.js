@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistogram, createHistogramSet } = require('../src/histogram');
+const { percentile } = require('../src/stats');
+
+// Deterministic pseudo-random latencies, log-normal-ish between ~0.1 and ~100ms
+function samples(n, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: n }, () => Math.exp(random() * 7 - 2.3));
+}
+
+test('count, min, max and average are exact', () => {
+  const values = samples(1000);
+  const histogram = createHistogram();
+  for (const value of values) histogram.record(value);
+  const summary = histogram.summary();
+  assert.equal(summary.count, 1000);
+  assert.equal(summary.min, Math.min(...values));
+  assert.equal(summary.max, Math.max(...values));
+  assert.ok(Math.abs(summary.avg - values.reduce((a, b) => a + b, 0) / values.length) < 1e-9);
+});
+
+test('percentiles are within 0.5% of the sample value', () => {
+  const values = samples(5000, 7);
+  const histogram = createHistogram();
+  for (const value of values) histogram.record(value);
+  for (const p of [50, 90, 95, 99]) {
+    const exact = percentile(values, p);
+    const estimate = histogram.percentile(p);
+    assert.ok(Math.abs(estimate - exact) / exact <= 0.005, `p${p}: ${estimate} vs ${exact}`);
+  }
+});
+
+test('an empty histogram has no summary or percentiles', () => {
+  const histogram = createHistogram();
+  assert.equal(histogram.summary(), null);
+  assert.equal(histogram.percentile(50), null);
+  assert.equal(histogram.count(), 0);
+});
+
+test('merging equals recording everything into one histogram', () => {
+  const a = samples(500, 3);
+  const b = samples(700, 11);
+  const left = createHistogram();
+  const right = createHistogram();
+  const both = createHistogram();
+  for (const value of a) left.record(value);
+  for (const value of b) right.record(value);
+  for (const value of [...a, ...b]) both.record(value);
+
+  const merged = left.merge(right).summary();
+  const expected = both.summary();
+  assert.equal(merged.count, expected.count);
+  assert.equal(merged.min, expected.min);
+  assert.equal(merged.max, expected.max);
+  assert.ok(Math.abs(merged.avg - expected.avg) < 1e-9);
+  assert.equal(merged.p50, expected.p50);
+  assert.equal(merged.p99, expected.p99);
+});
+
+test('zero and tiny values share the lowest bucket without breaking min', () => {
+  const histogram = createHistogram().record(0).record(0.0001).record(1);
+  assert.equal(histogram.summary().min, 0);
+  assert.ok(histogram.percentile(50) <= 0.0011);
+  assert.equal(histogram.percentile(100), 1);
+});
+
+test('a histogram set skips missing values and merges by name', () => {
+  const a = createHistogramSet().record('ping', 1).record('ping', undefined).record('ping', NaN).record('total', 5);
+  const b = createHistogramSet().record('ping', 3).record('connect', 2);
+  a.merge(b);
+  assert.equal(a.get('ping').count(), 2);
+  assert.equal(a.get('total').count(), 1);
+  assert.equal(a.get('connect').count(), 1);
+  assert.equal(a.get('missing'), null);
+  assert.deepEqual([...a.entries()].map(([name]) => name).sort(), ['connect', 'ping', 'total']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../src/scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('an unknown arrival process is rejected', () => {
+  assert.throws(() => createScheduler({ intervalMs: 10, arrival: 'burst', run() {} }), /Unknown arrival process "burst"/);
+});
+
+test('fixed arrival runs numbered cycles on the intended timeline', async () => {
+  const ticks = [];
+  const scheduler = createScheduler({ intervalMs: 20, run: (tick) => { ticks.push(tick); } });
+  scheduler.start();
+  try {
+    await sleep(150);
+  } finally {
+    scheduler.stop();
+  }
+  assert.ok(ticks.length >= 2, `${ticks.length} cycles`);
+  ticks.forEach((tick, i) => {
+    assert.equal(tick.sequence, i);
+    assert.ok(tick.delayMs >= 0);
+    assert.equal(tick.delayMs, Math.max(0, tick.actualStart - tick.intendedStart));
+    if (i > 0) assert.ok(Math.abs(tick.intendedStart - ticks[i - 1].intendedStart - 20) < 1e-6);
+  });
+  assert.equal(scheduler.status().running, false);
+  assert.equal(scheduler.status().cycles, ticks.length);
+});
+
+test('an overrunning cycle delays the next one and reports the delay', async () => {
+  const ticks = [];
+  const scheduler = createScheduler({
+    intervalMs: 10,
+    run: async (tick) => {
+      ticks.push(tick);
+      if (tick.sequence === 0) await sleep(35);
+    }
+  });
+  scheduler.start();
+  try {
+    await sleep(100);
+  } finally {
+    scheduler.stop();
+  }
+  assert.ok(ticks.length >= 2);
+  assert.ok(ticks[1].delayMs >= 20, `delay ${ticks[1].delayMs}`);
+});
+
+test('cycles far behind schedule are skipped and counted', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const ticks = [];
+  const scheduler = createScheduler({
+    intervalMs: 5,
+    maxLagIntervals: 2,
+    run: async (tick) => {
+      ticks.push(tick);
+      if (tick.sequence === 0) await sleep(60);
+    }
+  });
+  scheduler.start();
+  try {
+    await sleep(120);
+  } finally {
+    scheduler.stop();
+  }
+  assert.ok(scheduler.status().skippedCycles > 0);
+  // The next cycle starts on the first slot still within reach, not 60ms late
+  assert.ok(ticks[1].delayMs < 40, `delay ${ticks[1].delayMs}`);
+});
+
+test('runNow is marked manual and exclusive work runs in order', async () => {
+  const order = [];
+  const scheduler = createScheduler({ intervalMs: 1000, run: (tick) => { order.push(tick.manual ? 'manual' : 'cycle'); return 'done'; } });
+  const first = scheduler.exclusive(async () => { await sleep(10); order.push('first'); });
+  const manual = scheduler.runNow();
+  const last = scheduler.exclusive(() => { order.push('last'); });
+  await Promise.all([first, manual, last]);
+  assert.equal(await manual, 'done');
+  assert.deepEqual(order, ['first', 'manual', 'last']);
+  assert.equal(scheduler.status().cycles, 1);
+});
+
+test('a failing exclusive task does not block the queue', async () => {
+  const scheduler = createScheduler({ intervalMs: 1000, run() {} });
+  await assert.rejects(scheduler.exclusive(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(await scheduler.exclusive(() => 'next'), 'next');
+});
+
+test('setTiming validates and applies the new timeline', () => {
+  const scheduler = createScheduler({ intervalMs: 1000, run() {} });
+  assert.throws(() => scheduler.setTiming({ intervalMs: 0 }), /positive number/);
+  assert.throws(() => scheduler.setTiming({ arrival: 'uniform' }), /Unknown arrival process/);
+  assert.deepEqual(scheduler.timing(), { intervalMs: 1000, arrival: 'fixed' });
+  scheduler.setTiming({ intervalMs: 250, arrival: 'poisson' });
+  assert.deepEqual(scheduler.timing(), { intervalMs: 250, arrival: 'poisson' });
+  assert.equal(scheduler.status().running, false);
+});
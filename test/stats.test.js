@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, round2, summarize } = require('../src/stats');
+
+test('percentile picks the ceil(p% * n)-th smallest sample', () => {
+  const values = [5, 1, 4, 2, 3];
+  assert.equal(percentile(values, 50), 3);
+  assert.equal(percentile(values, 95), 5);
+  assert.equal(percentile(values, 0), 1);
+  assert.equal(percentile([], 50), 0);
+  // The input is left unsorted
+  assert.deepEqual(values, [5, 1, 4, 2, 3]);
+});
+
+test('round2 rounds to two decimals', () => {
+  assert.equal(round2(1), 1);
+  assert.equal(round2(2.346), 2.35);
+  assert.equal(round2(-0.004), -0);
+});
+
+test('summarize reports count, range, average and percentiles', () => {
+  assert.equal(summarize([]), null);
+  const values = Array.from({ length: 100 }, (_, i) => i + 1);
+  assert.deepEqual(summarize(values), { count: 100, min: 1, max: 100, avg: 50.5, p50: 50, p95: 95, p99: 99 });
+});
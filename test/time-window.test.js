@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseTimeWindow, matchesHours, applyHours, describeWindow } = require('../src/time-window');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+test('durations take s, m, h and d suffixes, plain numbers are seconds', () => {
+  assert.equal(parseDuration('30s', 'window'), 30 * 1000);
+  assert.equal(parseDuration('15m', 'window'), 15 * 60 * 1000);
+  assert.equal(parseDuration('1.5h', 'window'), 1.5 * HOUR);
+  assert.equal(parseDuration('7d', 'window'), 7 * 24 * HOUR);
+  assert.equal(parseDuration('45', 'window'), 45 * 1000);
+  assert.throws(() => parseDuration('0m', 'window'), /Invalid window "0m"/);
+  assert.throws(() => parseDuration('1w', 'bucket'), /Invalid bucket "1w"/);
+  assert.throws(() => parseDuration('-5s', 'window'), /Invalid window/);
+});
+
+test('an empty query selects everything', () => {
+  assert.deepEqual(parseTimeWindow({}, NOW), { since: null, until: null, bucketMs: null, hours: null });
+});
+
+test('window ends at until, or now when until is not given', () => {
+  assert.deepEqual(parseTimeWindow({ window: '1h' }, NOW), { since: NOW - HOUR, until: NOW, bucketMs: null, hours: null });
+  const until = '2024-05-01T10:00:00Z';
+  const window = parseTimeWindow({ window: '2h', until }, NOW);
+  assert.equal(window.since, Date.parse(until) - 2 * HOUR);
+  assert.equal(window.until, Date.parse(until));
+});
+
+test('window starts at since when only since is given', () => {
+  const window = parseTimeWindow({ since: String(NOW), window: '30m' }, NOW);
+  assert.equal(window.since, NOW);
+  assert.equal(window.until, NOW + 30 * 60 * 1000);
+});
+
+test('conflicting or inverted windows are rejected', () => {
+  assert.throws(() => parseTimeWindow({ since: '2024-05-01T00:00:00Z', until: '2024-05-01T01:00:00Z', window: '1h' }, NOW), /at most two/);
+  assert.throws(() => parseTimeWindow({ since: '2024-05-01T02:00:00Z', until: '2024-05-01T01:00:00Z' }, NOW), /since must be before until/);
+  assert.throws(() => parseTimeWindow({ since: 'yesterday' }, NOW), /Invalid since "yesterday"/);
+});
+
+test('buckets are limited per window', () => {
+  assert.equal(parseTimeWindow({ window: '1d', bucket: '1m' }, NOW).bucketMs, 60 * 1000);
+  assert.throws(() => parseTimeWindow({ window: '7d', bucket: '1m' }, NOW), /more than 2000 buckets/);
+});
+
+test('hours filter by UTC hour and can wrap midnight', () => {
+  const at = (hour) => ({ timestamp: `2024-05-01T${String(hour).padStart(2, '0')}:30:00Z` });
+  const business = parseTimeWindow({ hours: '9-17' }, NOW);
+  assert.deepEqual(business.hours, { from: 9, to: 17 });
+  assert.equal(matchesHours(at(9), business), true);
+  assert.equal(matchesHours(at(17), business), false);
+
+  const night = parseTimeWindow({ hours: '22-6' }, NOW);
+  assert.equal(matchesHours(at(23), night), true);
+  assert.equal(matchesHours(at(3), night), true);
+  assert.equal(matchesHours(at(12), night), false);
+  assert.deepEqual(applyHours([at(1), at(12), at(22)], night), [at(1), at(22)]);
+
+  const all = [at(1), at(12)];
+  assert.equal(applyHours(all, parseTimeWindow({}, NOW)), all);
+  assert.throws(() => parseTimeWindow({ hours: '9-9' }, NOW), /Invalid hours/);
+  assert.throws(() => parseTimeWindow({ hours: '25-3' }, NOW), /Invalid hours/);
+});
+
+test('describeWindow reports ISO times, bucket seconds and hours', () => {
+  assert.deepEqual(describeWindow(parseTimeWindow({ window: '1h', bucket: '5m', hours: '9-17' }, NOW)), {
+    since: '2024-05-01T11:00:00.000Z',
+    until: '2024-05-01T12:00:00.000Z',
+    bucketSec: 300,
+    hoursUtc: '9-17'
+  });
+});